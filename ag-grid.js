@@ -1,30 +1,329 @@
-var agGrid = require('ag-grid');
+// agGrid is loaded by ag-grid.html, pages have no require (see desktop/preload.js)
+var desktop = window.desktop;
 //require('ag-grid/dist/styles/theme-fresh.css');
 //require('./node_modules/ag-grid/dist/styles/ag-grid.css');
 
 // if you are not using ag-Grid Enterprise, then leave the following require out
 //require('ag-grid-enterprise');
 
+// The Quote Grid shows one of the watch lists the charts keep (STX.Watch, in STX.StorageManager) with
+// quote snapshots from the main process (see desktop/snapshots.js). Snapshots are applied once per
+// animation frame however many arrive, and cells that change flash up or down.
+
 var eGridContainer = document.querySelector('#gridContainer');
+var eWatchList = document.querySelector('#watchList');
+
+// how long a changed cell stays highlighted
+var FLASH_MS = 600;
+
+// the snapshot fields each column shows, for refreshing and flashing only the cells that change
+var COLUMN_FIELDS = {
+    last: ['last'],
+    change: ['change'],
+    changePercent: ['changePercent'],
+    bidAsk: ['bid', 'ask'],
+    volume: ['volume'],
+    high: ['high'],
+    low: ['low'],
+    range52: ['low52', 'high52']
+};
+
+function formatPrice(value) {
+    if (value === null || value === undefined) return '';
+    return value.toFixed(Math.abs(value) < 1 ? 4 : 2);
+}
+
+function signed(text, value) {
+    return value > 0 ? '+' + text : text;
+}
+
+// classes for cells whose values just changed, see flash
+function flashRules(colId) {
+    return {
+        'quote-up': function(params) {
+            return flashing(params.data, colId) === 'up';
+        },
+        'quote-down': function(params) {
+            return flashing(params.data, colId) === 'down';
+        }
+    };
+}
+
+function numberColumn(def) {
+    def.cellClass = 'quote-number';
+    def.cellClassRules = flashRules(def.colId || def.field);
+    return def;
+}
 
 var gridOptions = {
     columnDefs: [
-        {headerName: 'Record', field: 'recordNumber'},
-        {headerName: 'Value 1', field: 'value1'},
-        {headerName: 'Value 2', field: 'value2'}
+        {headerName: 'Symbol', field: 'symbol', width: 90, cellClassRules: {
+            'quote-error': function(params) {
+                return !!params.data.error;
+            }
+        }},
+        numberColumn({headerName: 'Last', field: 'last', width: 90, cellRenderer: function(params) {
+            return params.data.error ? params.data.error : formatPrice(params.value);
+        }}),
+        numberColumn({headerName: 'Change', field: 'change', width: 90, cellRenderer: function(params) {
+            return params.value === null || params.value === undefined ? '' : signed(formatPrice(params.value), params.value);
+        }}),
+        numberColumn({headerName: '% Change', field: 'changePercent', width: 90, cellRenderer: function(params) {
+            return params.value === null || params.value === undefined ? '' : signed(params.value.toFixed(2), params.value) + '%';
+        }}),
+        numberColumn({headerName: 'Bid / Ask', colId: 'bidAsk', width: 130, suppressSorting: true, valueGetter: function(params) {
+            if (params.data.bid === null || params.data.bid === undefined) return '';
+            return formatPrice(params.data.bid) + ' / ' + formatPrice(params.data.ask);
+        }}),
+        numberColumn({headerName: 'Volume', field: 'volume', width: 90, cellRenderer: function(params) {
+            return params.value ? STX.condenseInt(params.value) : '';
+        }}),
+        numberColumn({headerName: 'Day High', field: 'high', width: 90, cellRenderer: function(params) {
+            return formatPrice(params.value);
+        }}),
+        numberColumn({headerName: 'Day Low', field: 'low', width: 90, cellRenderer: function(params) {
+            return formatPrice(params.value);
+        }}),
+        numberColumn({headerName: '52 Week Range', colId: 'range52', width: 140, suppressSorting: true, valueGetter: function(params) {
+            if (params.data.low52 === null || params.data.low52 === undefined) return '';
+            return formatPrice(params.data.low52) + ' – ' + formatPrice(params.data.high52);
+        }})
     ],
     rowData: [],
+    rowSelection: 'single',
+    enableSorting: true,
+    enableFilter: true,
+    overlayNoRowsTemplate: '<span>No watch list to show. Create one in the Watch List panel of an advanced chart.</span>',
     onGridReady: function(params) {
         params.api.sizeColumnsToFit();
+        persistGridViews(gridOptions, 'quoteGrid', document.querySelector('#toolbar'));
+        restoreGrid(desktop.workspace.restore());
+    },
+    // rows that carry a symbol drive the charts on this window's link channel
+    onRowClicked: function(params) {
+        if (params.data.symbol) desktop.links.publish(params.data.symbol);
+    },
+    onRowDoubleClicked: function(params) {
+        showOnChart(params.data);
+    },
+    onCellContextMenu: function(params) {
+        if (params.event) params.event.preventDefault();
+        rowMenu(params.data);
     }
 };
 
-for (var i = 0; i<1000; i++) {
-    gridOptions.rowData.push({
-        recordNumber: i,
-        value1: Math.floor(Math.random() * 10000),
-        value2: Math.floor(Math.random() * 10000)
+// Watch lists
+
+var currentList = null;
+
+// row nodes by symbol, for applying snapshots
+var nodes = {};
+
+function showList(name) {
+    var lists = watchLists();
+    var list = lists.filter(function(list) {
+        return list.name === name;
+    })[0] || lists[0] || null;
+    currentList = list ? list.name : null;
+    eWatchList.innerHTML = '';
+    lists.forEach(function(list) {
+        var option = document.createElement('option');
+        option.value = list.name;
+        option.textContent = list.name;
+        eWatchList.appendChild(option);
     });
+    eWatchList.value = currentList;
+    eWatchList.disabled = !lists.length;
+
+    var symbols = list ? list.symbols : [];
+    var previous = nodes;
+    gridOptions.api.setRowData(symbols.map(function(symbol) {
+        // symbols that stay keep their last snapshot until the next one arrives
+        return previous[symbol] ? previous[symbol].data : {symbol: symbol, flashes: {}};
+    }));
+    nodes = {};
+    gridOptions.api.forEachNode(function(node) {
+        nodes[node.data.symbol] = node;
+    });
+    desktop.snapshots.watch(symbols);
+}
+
+eWatchList.addEventListener('change', function() {
+    showList(eWatchList.value);
+});
+
+// a chart window added, edited or removed a list
+window.addEventListener('storage', function(event) {
+    if (event.key === 'stx-watchLists') showList(currentList);
+});
+
+// Charts
+
+// changes the symbol of the linked charts, or opens an advanced chart when none is linked
+function showOnChart(data) {
+    if (data && data.symbol) desktop.links.show(data.symbol);
 }
 
+// Enter on the focused row does what a double-click does
+eGridContainer.addEventListener('keydown', function(e) {
+    if (e.key !== 'Enter') return;
+    var cell = gridOptions.api.getFocusedCell();
+    if (!cell) return;
+    var node = gridOptions.api.getModel().getRow(cell.rowIndex);
+    if (node) showOnChart(node.data);
+});
+
+// adds the symbol to a list and saves the lists where the charts read them
+function addToWatchList(name, symbol) {
+    var lists = JSON.parse(STX.StorageManager.get('stx-watchLists') || '[]');
+    lists.forEach(function(list) {
+        if (STX.first(list) === name && list[name].indexOf(symbol) === -1) list[name].push(symbol);
+    });
+    STX.StorageManager.store('stx-watchLists', JSON.stringify(lists));
+}
+
+function rowMenu(data) {
+    if (!data || !data.symbol) return;
+    var symbol = data.symbol;
+    var others = watchLists().filter(function(list) {
+        return list.symbols.indexOf(symbol) === -1;
+    });
+    var items = [
+        {id: 'chart', label: 'Show ' + symbol + ' on Chart'},
+        {id: 'compare', label: 'Compare ' + symbol + ' on Chart', enabled: desktop.links.charts() > 0},
+        {type: 'separator'},
+        {label: 'Add to Watch List', enabled: others.length > 0, submenu: others.map(function(list, i) {
+            return {id: 'list' + i, label: list.name};
+        })}
+    ];
+    desktop.menus.popup(items, function(id) {
+        if (id === 'chart') showOnChart(data);
+        else if (id === 'compare') desktop.links.compare(symbol);
+        else if (id.indexOf('list') === 0) addToWatchList(others[Number(id.substring(4))].name, symbol);
+    });
+}
+
+// Snapshots
+
+// snapshots waiting for the next frame, by symbol
+var pending = {};
+var frame = null;
+
+function flashing(data, colId) {
+    var flash = data.flashes && data.flashes[colId];
+    return flash && flash.until > Date.now() ? flash.direction : null;
+}
+
+function flash(data, colId, direction) {
+    data.flashes[colId] = {direction: direction, until: Date.now() + FLASH_MS};
+}
+
+// clears the highlights that have had their time
+var fading = null;
+
+function fade() {
+    fading = null;
+    var now = Date.now();
+    var faded = [];
+    var colIds = {};
+    var next = null;
+    for (var symbol in nodes) {
+        var flashes = nodes[symbol].data.flashes;
+        var done = false;
+        for (var colId in flashes) {
+            if (flashes[colId].until > now) {
+                next = Math.min(next || Infinity, flashes[colId].until);
+                continue;
+            }
+            delete flashes[colId];
+            colIds[colId] = true;
+            done = true;
+        }
+        if (done) faded.push(nodes[symbol]);
+    }
+    if (faded.length) gridOptions.api.refreshCells(faded, Object.keys(colIds));
+    if (next) fading = setTimeout(fade, next - now);
+}
+
+function applySnapshots() {
+    frame = null;
+    var snapshots = pending;
+    pending = {};
+    var changed = [];
+    var colIds = {};
+    for (var symbol in snapshots) {
+        var node = nodes[symbol];
+        if (!node) continue;
+        var data = node.data;
+        var snapshot = snapshots[symbol];
+        var cells = [];
+        for (var colId in COLUMN_FIELDS) {
+            if (!COLUMN_FIELDS[colId].some(function(name) {
+                return data[name] !== snapshot[name];
+            })) continue;
+            var field = COLUMN_FIELDS[colId][0];
+            cells.push(colId);
+            // the first quote for a row fills it in without flashing
+            if (typeof data[field] === 'number' && typeof snapshot[field] === 'number' && data[field] !== snapshot[field]) {
+                flash(data, colId, snapshot[field] > data[field] ? 'up' : 'down');
+            }
+        }
+        if (data.error !== snapshot.error) cells.push('symbol', 'last');
+        if (!cells.length) continue;
+        for (var key in snapshot) data[key] = snapshot[key];
+        changed.push(node);
+        cells.forEach(function(colId) {
+            colIds[colId] = true;
+        });
+    }
+    if (!changed.length) return;
+    gridOptions.api.refreshCells(changed, Object.keys(colIds));
+    if (!fading) fading = setTimeout(fade, FLASH_MS);
+}
+
+desktop.snapshots.onUpdate(function(snapshots) {
+    snapshots.forEach(function(snapshot) {
+        pending[snapshot.symbol] = snapshot;
+    });
+    if (!frame) frame = requestAnimationFrame(applySnapshots);
+});
+
+// the list shown, columns, sort and filter as saved in a workspace file (see desktop/workspaces.js)
+function gridState() {
+    return {
+        watchList: currentList,
+        grid: gridColumnsState(gridOptions)
+    };
+}
+
+function restoreGrid(state) {
+    showList(state && state.watchList);
+    if (state) applyGridColumnsState(gridOptions, state.grid);
+}
+
+// after everything onGridReady uses is set up
 new agGrid.Grid(eGridContainer, gridOptions);
+
+desktop.workspace.provide(gridState);
+
+provideGridExport(gridOptions, function() {
+    return currentList || 'Quote Grid';
+});
+
+function showLinkChannel(channel) {
+    eGridContainer.style.boxShadow = channel ? 'inset 0 3px 0 ' + channel.color : '';
+}
+
+desktop.links.onChannel(function(channel) {
+    showLinkChannel(channel);
+});
+
+desktop.links.onSymbol(function(symbol) {
+    gridOptions.api.forEachNode(function(node) {
+        if (node.data.symbol !== symbol) return;
+        node.setSelected(true, true);
+        gridOptions.api.ensureIndexVisible(node.rowIndex);
+    });
+});
+
+showLinkChannel(desktop.links.channels().current);
@@ -0,0 +1,81 @@
+// Bars for grid cells, fetched from the quote source in the main process (desktop/quotes.js) once per
+// symbol, periodicity and look-back, and shared by every cell that shows them. Rows scrolled out of
+// view and back in draw from here rather than fetching again.
+
+// how many symbol and periodicity combinations are kept, least recently used dropped first
+const MAX_ENTRIES = 2000;
+
+// how long bars are used before the next cell that shows them fetches them again, in milliseconds
+const MAX_AGE = {intraday: 60 * 1000, daily: 60 * 60 * 1000};
+
+// the periodicity of intraday bars
+export const INTRADAY = {period: 5, interval: 'minute'};
+export const DAILY = {period: 1, interval: 'day'};
+
+// {bars, error, loaded, loading, listeners} by key, in the order last used. bars are the last fetched, error the
+// last fetch's, loaded when the bars came.
+var entries = new Map();
+
+function keyOf(params) {
+    return [params.symbol, params.intraday ? 'intraday' : 'daily', params.lookback].join('|');
+}
+
+function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size <= MAX_ENTRIES) return;
+    for (var [oldKey, oldEntry] of entries) {
+        if (entries.size <= MAX_ENTRIES) break;
+        if (!oldEntry.listeners.length) entries.delete(oldKey);
+    }
+}
+
+function load(params, entry) {
+    var periodicity = params.intraday ? INTRADAY : DAILY;
+    entry.loading = true;
+    window.desktop.quotes.fetch(Object.assign({symbol: params.symbol, ticks: params.lookback}, periodicity), result => {
+        entry.loading = false;
+        entry.error = result.error || null;
+        if (entry.error) {
+            // cells keep the bars they have, and the next cell to subscribe tries again
+            if (!entry.bars) entry.listeners.forEach(cb => cb([], entry.error));
+            return;
+        }
+        // bars in masterData format, oldest first
+        entry.bars = (result.quotes || []).slice(-params.lookback);
+        entry.loaded = Date.now();
+        entry.listeners.forEach(cb => cb(entry.bars, null));
+    });
+}
+
+// whether the entry should be fetched again: its last fetch failed, or its bars are too old
+function stale(params, entry) {
+    if (entry.loading) return false;
+    return !!entry.error || Date.now() - entry.loaded > MAX_AGE[params.intraday ? 'intraday' : 'daily'];
+}
+
+/**
+ * Calls back with the last bars of a symbol, straight away when they are cached and otherwise once fetched. Bars that
+ * failed to load, or are older than MAX_AGE, are fetched again and called back once more when they come.
+ * @param {Object} params {symbol, lookback, intraday}
+ * @param {Function} cb Called with the bars ({DT, Open, High, Low, Close, Volume}) and an error, or null
+ * @return {Function} Stops the callbacks, for cells that go out of view
+ */
+export function subscribe(params, cb) {
+    var key = keyOf(params);
+    var entry = entries.get(key);
+    if (!entry) {
+        entry = {bars: null, error: null, loaded: 0, loading: false, listeners: []};
+        load(params, entry);
+    } else {
+        if (entry.bars) cb(entry.bars, null);
+        if (stale(params, entry)) load(params, entry);
+    }
+    entry.listeners.push(cb);
+    touch(key, entry);
+    return () => {
+        var i = entry.listeners.indexOf(cb);
+        if (i > -1) entry.listeners.splice(i, 1);
+    };
+}
+
@@ -0,0 +1,88 @@
+import React from 'react';
+
+// Saved grid layouts for ag-grid-react grids, kept as the Quote Grid keeps its own: by gridViews in grids.js, which
+// the page loads as a script before this bundle. A view is the grid's columns (order, widths, pinned and hidden),
+// sort and filter.
+
+/**
+ * A View menu with Save and Delete that keeps a grid as the user left it and switches between named views. Render it
+ * with the {api, columnApi} onGridReady gave, once there is one:
+ *
+ *     <GridViews gridKey="largeGrid" grid={this.state.grid} />
+ */
+export default class GridViews extends React.Component {
+
+    constructor(props) {
+        super(props);
+        this.state = {naming: false, name: '', state: null, view: null, views: {}};
+        this.views = null;
+    }
+
+    componentDidMount() {
+        this.attach(this.props.grid);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.grid !== this.props.grid) {
+            this.detach();
+            this.attach(nextProps.grid);
+        }
+    }
+
+    componentWillUnmount() {
+        this.detach();
+    }
+
+    attach(grid) {
+        if (!grid) return;
+        this.views = window.gridViews(grid, this.props.gridKey, stored => this.setState(stored));
+        this.setState(this.views.load());
+    }
+
+    detach() {
+        if (!this.views) return;
+        this.views.detach();
+        this.views = null;
+    }
+
+    save() {
+        var name = this.state.name.trim();
+        if (!name) return;
+        this.views.save(name);
+        this.setState({naming: false});
+    }
+
+    render() {
+        var names = Object.keys(this.state.views).sort();
+        var view = this.state.view && this.state.views[this.state.view] ? this.state.view : '';
+        return (
+            <span className="grid-views">
+                <label>
+                    View <select value={view} disabled={!this.props.grid} onChange={e => this.views.select(e.target.value)}>
+                        <option value="">Unsaved</option>
+                        {names.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </label>
+                {this.state.naming ?
+                    <input type="text" autoFocus placeholder="View name" value={this.state.name}
+                           onChange={e => this.setState({name: e.target.value})}
+                           onBlur={() => this.setState({naming: false})}
+                           onKeyDown={e => {
+                               if (e.key === 'Enter') this.save();
+                               if (e.key === 'Escape') this.setState({naming: false});
+                           }} /> :
+                    <button disabled={!this.props.grid} onClick={() => this.setState({naming: true, name: view})}>Save View…</button>}
+                <button disabled={!view} onClick={() => this.views.remove(view)}>Delete View</button>
+            </span>
+        );
+    }
+
+}
+
+GridViews.propTypes = {
+    gridKey: React.PropTypes.string.isRequired,
+    grid: React.PropTypes.shape({
+        api: React.PropTypes.object,
+        columnApi: React.PropTypes.object
+    })
+};
@@ -1,12 +1,17 @@
 import React from 'react';
 import {reactCellRendererFactory} from 'ag-grid-react';
-import SimpleCellRenderer from './simpleCellRenderer.jsx';
+import SimpleCellRenderer from './simpleCellRenderer';
+import SparklineCellRenderer, {LOOKBACKS} from './sparklineCellRenderer';
+import GridViews from './gridViews';
 
 import {AgGridReact} from 'ag-grid-react';
 
 // put this line in to use ag-Grid enterprise
 // import 'ag-grid-enterprise';
 
+// rows cycle through the quote source's symbols, or these when it can't list them (the demo feed)
+const DEFAULT_SYMBOLS = ['AAPL', 'MSFT', 'IBM', 'GE', 'INTC', 'GOOGL', 'AMZN', 'SPY', 'T', 'KO'];
+
 export default class MyApp extends React.Component {
 
     constructor() {
@@ -15,9 +20,29 @@ export default class MyApp extends React.Component {
         this.createColumnNames();
 
         this.state = {
-            columnDefs: this.createColumnDefs(),
-            rowData: this.createRowData()
+            lookback: 30,
+            intraday: false,
+            chartStyle: 'line',
+            symbols: DEFAULT_SYMBOLS,
+            // {api, columnApi} once the grid is ready
+            grid: null
         };
+        this.state.columnDefs = this.createColumnDefs(this.state);
+        this.state.rowData = this.createRowData(this.state.symbols);
+    }
+
+    componentDidMount() {
+        window.desktop.quotes.lookup({text: '', max: 1000}, results => {
+            if (!results.length) return;
+            var symbols = results.map(result => result.symbol);
+            this.setState({symbols: symbols, rowData: this.createRowData(symbols)});
+        });
+    }
+
+    // changes the sparkline settings and the column definitions that carry them
+    setChart(changes) {
+        var chart = Object.assign({}, this.state, changes);
+        this.setState(Object.assign({columnDefs: this.createColumnDefs(chart)}, changes));
     }
 
     createColumnNames() {
@@ -31,11 +56,11 @@ export default class MyApp extends React.Component {
         });
     }
 
-    createRowData() {
+    createRowData(symbols) {
         var rowData = [];
 
         for (var i = 0; i<1000; i++) {
-            var item = {};
+            var item = {symbol: symbols[i % symbols.length]};
             this.columnNames.forEach( colName => {
                 item[colName] = '('+colName.toUpperCase()+','+i+')'
             });
@@ -45,8 +70,20 @@ export default class MyApp extends React.Component {
         return rowData;
     }
 
-    createColumnDefs() {
-        var columnDefs = [];
+    createColumnDefs(chart) {
+        var columnDefs = [
+            {headerName: 'Symbol', field: 'symbol', pinned: 'left', width: 80},
+            {
+                headerName: 'Chart',
+                field: 'symbol',
+                colId: 'chart',
+                pinned: 'left',
+                width: 110,
+                suppressSorting: true,
+                cellRendererFramework: SparklineCellRenderer,
+                cellRendererParams: {lookback: chart.lookback, intraday: chart.intraday, chartStyle: chart.chartStyle}
+            }
+        ];
 
         this.columnNames.forEach( colName => {
             columnDefs.push({
@@ -62,8 +99,26 @@ export default class MyApp extends React.Component {
 
     render() {
         return (
-            <div style={{height: '100%'}} className="ag-dark">
-                    <AgGridReact columnDefs={this.state.columnDefs} rowData={this.state.rowData} />
+            <div style={{height: '100%', display: 'flex', flexDirection: 'column'}} className="ag-dark">
+                <div className="large-grid-toolbar">
+                    <select value={this.state.lookback} onChange={e => this.setChart({lookback: Number(e.target.value)})}>
+                        {LOOKBACKS.map(bars => <option key={bars} value={bars}>{bars} bars</option>)}
+                    </select>
+                    <label>
+                        <input type="checkbox" checked={this.state.intraday}
+                               onChange={e => this.setChart({intraday: e.target.checked})} /> Intraday
+                    </label>
+                    <label>
+                        <input type="checkbox" checked={this.state.chartStyle === 'candle'}
+                               onChange={e => this.setChart({chartStyle: e.target.checked ? 'candle' : 'line'})} /> Candles
+                    </label>
+                    <GridViews gridKey="largeGrid" grid={this.state.grid} />
+                </div>
+                <div style={{flex: 1}}>
+                    <AgGridReact columnDefs={this.state.columnDefs} rowData={this.state.rowData} rowHeight={26}
+                                 enableSorting={true} enableFilter={true} enableColResize={true}
+                                 onGridReady={params => this.setState({grid: {api: params.api, columnApi: params.columnApi}})} />
+                </div>
             </div>
         );
     }
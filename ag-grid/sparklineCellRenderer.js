@@ -0,0 +1,164 @@
+import React from 'react';
+import {subscribe} from './barCache';
+
+// What the renderer draws unless the column's cellRendererParams say otherwise. chartStyle is 'line'
+// for a sparkline of the closes or 'candle' for mini candles.
+const DEFAULTS = {
+    lookback: 30,
+    intraday: false,
+    chartStyle: 'line',
+    width: 100,
+    height: 22,
+    lineColor: '#3498db',
+    upColor: '#2ecc71',
+    downColor: '#e74c3c'
+};
+
+// bars the sparklines can look back over, for the grids' look-back choices
+export const LOOKBACKS = [20, 30, 60, 120];
+
+// space around the drawing, in css pixels
+const PADDING = 2;
+
+// Cells waiting to be drawn. Bars that arrive together, and every cell of a scroll, are drawn in one
+// animation frame rather than one after another.
+var queue = new Set();
+var frame = null;
+
+function schedule(cell) {
+    queue.add(cell);
+    if (!frame) frame = requestAnimationFrame(drawQueue);
+}
+
+function drawQueue() {
+    frame = null;
+    var cells = queue;
+    queue = new Set();
+    cells.forEach(cell => cell.draw());
+}
+
+function drawLine(ctx, bars, options, scaleY, stepX) {
+    var first = bars[0].Close, last = bars[bars.length - 1].Close;
+    ctx.strokeStyle = last < first ? options.downColor : last > first ? options.upColor : options.lineColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    bars.forEach((bar, i) => {
+        var x = PADDING + i * stepX + stepX / 2, y = scaleY(bar.Close);
+        if (i) ctx.lineTo(x, y);
+        else ctx.moveTo(x, y);
+    });
+    ctx.stroke();
+}
+
+function drawCandles(ctx, bars, options, scaleY, stepX) {
+    var bodyWidth = Math.max(1, Math.floor(stepX * 0.6));
+    bars.forEach((bar, i) => {
+        var x = Math.floor(PADDING + i * stepX + stepX / 2);
+        var color = bar.Close < bar.Open ? options.downColor : options.upColor;
+        ctx.fillStyle = color;
+        ctx.fillRect(x, scaleY(bar.High), 1, Math.max(1, scaleY(bar.Low) - scaleY(bar.High)));
+        var top = scaleY(Math.max(bar.Open, bar.Close));
+        var bottom = scaleY(Math.min(bar.Open, bar.Close));
+        ctx.fillRect(x - Math.floor(bodyWidth / 2), top, bodyWidth, Math.max(1, bottom - top));
+    });
+}
+
+/**
+ * Draws the last bars of the row's symbol on a canvas: a sparkline of the closes, or mini candles. For
+ * ag-grid-react columns whose value is a symbol:
+ *
+ *     {headerName: 'Chart', field: 'symbol', cellRendererFramework: SparklineCellRenderer,
+ *         cellRendererParams: {lookback: 60, intraday: true, chartStyle: 'candle'}}
+ *
+ * Cells share their bars through barCache, so rows the grid virtualizes away and back only draw again.
+ */
+export default class SparklineCellRenderer extends React.Component {
+
+    componentDidMount() {
+        this.load();
+    }
+
+    componentDidUpdate(prevProps) {
+        var options = this.options(), previous = Object.assign({}, DEFAULTS, prevProps);
+        if (options.lookback !== previous.lookback || options.intraday !== previous.intraday || this.symbol() !== this.symbol(prevProps)) {
+            this.load();
+        } else {
+            schedule(this);
+        }
+    }
+
+    componentWillUnmount() {
+        if (this.unsubscribe) this.unsubscribe();
+        queue.delete(this);
+    }
+
+    options() {
+        return Object.assign({}, DEFAULTS, this.props);
+    }
+
+    symbol(props) {
+        props = props || this.props;
+        return props.value || (props.data && props.data.symbol);
+    }
+
+    load() {
+        var options = this.options();
+        if (this.unsubscribe) this.unsubscribe();
+        this.bars = null;
+        this.error = null;
+        schedule(this);
+        if (!this.symbol()) return;
+        this.unsubscribe = subscribe({symbol: this.symbol(), lookback: options.lookback, intraday: options.intraday}, (bars, error) => {
+            this.bars = bars;
+            this.error = error;
+            schedule(this);
+        });
+    }
+
+    draw() {
+        var canvas = this.canvas;
+        if (!canvas) return;
+        var options = this.options();
+        var ratio = window.devicePixelRatio || 1;
+        var ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, options.width, options.height);
+        canvas.title = this.error ? String(this.error) : '';
+        var bars = (this.bars || []).filter(bar => bar && bar.Close !== null && bar.Close !== undefined);
+        if (bars.length < 2) return;
+
+        var candles = options.chartStyle === 'candle';
+        var high = -Infinity, low = Infinity;
+        bars.forEach(bar => {
+            high = Math.max(high, candles ? bar.High : bar.Close);
+            low = Math.min(low, candles ? bar.Low : bar.Close);
+        });
+        var height = options.height - PADDING * 2;
+        var range = high - low || 1;
+        var scaleY = value => PADDING + Math.round((high - value) / range * height);
+        var stepX = (options.width - PADDING * 2) / bars.length;
+        if (candles) drawCandles(ctx, bars, options, scaleY, stepX);
+        else drawLine(ctx, bars, options, scaleY, stepX);
+    }
+
+    render() {
+        var options = this.options();
+        var ratio = window.devicePixelRatio || 1;
+        return (
+            <canvas className="sparkline-cell-renderer" ref={canvas => this.canvas = canvas}
+                    width={options.width * ratio} height={options.height * ratio}
+                    style={{width: options.width, height: options.height, verticalAlign: 'middle'}} />
+        );
+    }
+
+}
+
+SparklineCellRenderer.propTypes = {
+    value: React.PropTypes.string,
+    data: React.PropTypes.object,
+    lookback: React.PropTypes.number,
+    intraday: React.PropTypes.bool,
+    chartStyle: React.PropTypes.oneOf(['line', 'candle']),
+    width: React.PropTypes.number,
+    height: React.PropTypes.number
+};
@@ -1,6 +1,5 @@
-document.write('the current version of io.js '+process.version);
+// pages have no Node APIs, the app details come through the preload bridge (desktop/preload.js)
+var info = window.desktop.app.info();
 
-var fs = require('fs');
-
-var contents = fs.readFileSync('./package.json', 'utf8');
-alert(contents);
+document.write('the current version of electron '+info.versions.electron+', node '+info.versions.node);
+document.write('<br>'+info.name+' '+info.version);
@@ -0,0 +1,188 @@
+// The Positions, Open Orders and Trades windows (see the "view" parameter of their templates in index.js).
+// They show the account Trade From Chart trades with (STX.Desktop.createAccount) and refresh whenever any
+// window changes it. Positions value themselves against live quote snapshots (desktop/snapshots.js), and
+// open orders can be cancelled, or modified by editing their quantity, prices and time in force.
+var desktop = window.desktop;
+
+var eGridContainer = document.querySelector('#gridContainer');
+var eSummary = document.querySelector('#summary');
+var eToolbar = document.querySelector('#toolbar');
+
+var view = STX.qs().view || 'positions';
+
+var account = STX.Desktop.createAccount(function() {
+    refresh();
+});
+
+// Positions
+
+// the last price of each position's symbol, from the snapshots
+var lasts = {};
+
+// the columns a new price changes
+var PRICED_COLUMNS = ['price', 'marketValue', 'unrealized', 'unrealizedPercent', 'dayChange'];
+
+function showBalances() {
+    var balances = account.balances || {};
+    var unrealized = 0;
+    gridOptions.api.forEachNode(function(node) {
+        unrealized += node.data.unrealized || 0;
+    });
+    eSummary.innerHTML = '';
+    [
+        ['Cash', formatPrice(balances.cash)],
+        ['Buying Power', formatPrice(balances.buyingPower)],
+        ['Liquidity', formatPrice(balances.liquidity)],
+        ['Unrealized P&L', signedPrice(unrealized)]
+    ].forEach(function(item) {
+        var span = document.createElement('span');
+        span.textContent = item[0] + ' ' + item[1];
+        eSummary.appendChild(span);
+    });
+}
+
+// snapshots waiting for the next frame, by symbol
+var pending = {};
+var frame = null;
+
+function applySnapshots() {
+    frame = null;
+    var changed = [];
+    gridOptions.api.forEachNode(function(node) {
+        var snapshot = pending[node.data.symbol];
+        if (!snapshot || snapshot.last === null || snapshot.last === node.data.price) return;
+        pricePosition(node.data, snapshot.last);
+        changed.push(node);
+    });
+    pending = {};
+    if (!changed.length) return;
+    gridOptions.api.refreshCells(changed, PRICED_COLUMNS);
+    showBalances();
+}
+
+// Open orders
+
+function cancelOrder(row) {
+    var order = findOrder(account, row);
+    if (!order) return;
+    account.cancelOrder(null, Object.assign({symbol: row.symbol}, order), function(err) {
+        if (err) STX.Desktop.log('error', 'trade', 'Cannot cancel order ' + row.id + ' for ' + row.symbol, err);
+        refresh();
+    });
+}
+
+// a cell edit modifies the order, see STX.Account.replaceOrder
+function replaceOrder(row, field, value) {
+    var order = findOrder(account, row);
+    if (!order) return;
+    var changed = {limit: order.limit, stop: order.stop, quantity: order.quantity, tif: order.tif};
+    changed[field] = value;
+    function tuple(name) {
+        return {old: order[name], 'new': changed[name]};
+    }
+    account.replaceOrder(null, {
+        type: 'replace',
+        symbol: row.symbol,
+        id: order.id,
+        action: order.action,
+        limit: tuple('limit'),
+        stop: tuple('stop'),
+        quantity: tuple('quantity'),
+        tif: tuple('tif'),
+        oto: {old: order.oto, 'new': order.oto}
+    }, function(err) {
+        if (err) STX.Desktop.log('error', 'trade', 'Cannot modify order ' + row.id + ' for ' + row.symbol, err);
+        refresh();
+    });
+}
+
+function orderEdited(params) {
+    var field = params.colDef.field;
+    var value = params.newValue;
+    if (field !== 'tif') {
+        value = Number(value);
+        if (isNaN(value) || value <= 0) {
+            refresh();
+            return;
+        }
+    }
+    if (value === params.oldValue) return;
+    replaceOrder(params.data, field, value);
+}
+
+// Grid
+
+// see blotterViews.js
+var VIEWS = blotterViews(account, cancelOrder);
+
+var current = VIEWS[view] || VIEWS.positions;
+
+var gridOptions = {
+    columnDefs: current.columns,
+    rowData: [],
+    rowSelection: 'single',
+    enableSorting: true,
+    enableFilter: true,
+    singleClickEdit: true,
+    overlayNoRowsTemplate: '<span>Nothing to show</span>',
+    onGridReady: function(params) {
+        params.api.sizeColumnsToFit();
+        // each view has its own columns, and so its own views
+        persistGridViews(gridOptions, 'blotter-' + view, eToolbar);
+        restoreGrid(desktop.workspace.restore());
+        refresh();
+    },
+    // rows drive the charts on this window's link channel
+    onRowClicked: function(params) {
+        STX.Desktop.publishSymbol(params.data.symbol);
+    },
+    onRowDoubleClicked: function(params) {
+        if (view !== 'orders') desktop.links.show(params.data.symbol);
+    },
+    onCellValueChanged: orderEdited
+};
+
+// reads the account again and shows it
+function refresh() {
+    account[current.fetch](function() {
+        gridOptions.api.setRowData(current.rows(account, lasts));
+        if (view !== 'positions') return;
+        desktop.snapshots.watch(Object.keys(account.positions));
+        account.fetchBalances(showBalances);
+    });
+}
+
+if (view === 'positions') {
+    desktop.snapshots.onUpdate(function(snapshots) {
+        snapshots.forEach(function(snapshot) {
+            lasts[snapshot.symbol] = snapshot.last;
+            pending[snapshot.symbol] = snapshot;
+        });
+        if (!frame) frame = requestAnimationFrame(applySnapshots);
+    });
+} else {
+    eSummary.style.display = 'none';
+}
+
+// columns, sort and filter as saved in a workspace file (see desktop/workspaces.js)
+function gridState() {
+    return {grid: gridColumnsState(gridOptions)};
+}
+
+function restoreGrid(state) {
+    if (state) applyGridColumnsState(gridOptions, state.grid);
+}
+
+new agGrid.Grid(eGridContainer, gridOptions);
+
+desktop.workspace.provide(gridState);
+
+provideGridExport(gridOptions, current.title);
+
+STX.Desktop.onLinkedSymbol(function(symbol) {
+    gridOptions.api.forEachNode(function(node) {
+        if (node.data.symbol !== symbol) return;
+        node.setSelected(true, true);
+        gridOptions.api.ensureIndexVisible(node.rowIndex);
+    });
+});
@@ -0,0 +1,230 @@
+// The Positions, Open Orders and Trades views of an account (STX.Desktop.createAccount): their columns and the rows
+// they make from the account. The blotter windows (blotter.js) and the dashboard's blotter panes (components/BlotterPane.js)
+// show them. Pages load it before their own script.
+
+function formatNumber(value, places) {
+    if (value === null || value === undefined || isNaN(value)) return '';
+    return Number(value).toLocaleString(undefined, {minimumFractionDigits: places, maximumFractionDigits: places});
+}
+
+function formatPrice(value) {
+    return formatNumber(value, 2);
+}
+
+function signedPrice(value) {
+    var text = formatPrice(value);
+    return value > 0 ? '+' + text : text;
+}
+
+function numberColumn(def) {
+    def.cellClass = 'blotter-number';
+    if (!def.cellRenderer) {
+        def.cellRenderer = function(params) {
+            return formatPrice(params.value);
+        };
+    }
+    return def;
+}
+
+function quantityColumn(def) {
+    def.cellRenderer = function(params) {
+        return formatNumber(params.value, 0);
+    };
+    return numberColumn(def);
+}
+
+// colours a profit or loss
+function profitColumn(def) {
+    def = numberColumn(def);
+    def.cellRenderer = function(params) {
+        return signedPrice(params.value);
+    };
+    def.cellClassRules = {
+        'blotter-gain': function(params) {
+            return params.value > 0;
+        },
+        'blotter-loss': function(params) {
+            return params.value < 0;
+        }
+    };
+    return def;
+}
+
+// Positions
+
+// sets a position row's price and what follows from it
+function pricePosition(row, last) {
+    row.price = last;
+    row.marketValue = row.quantity * last;
+    row.unrealized = row.quantity * (last - row.basis);
+    row.unrealizedPercent = row.basis ? (last - row.basis) / row.basis * 100 * (row.quantity < 0 ? -1 : 1) : null;
+    row.dayChange = row.prevClose ? row.quantity * (last - row.prevClose) : null;
+}
+
+// lasts are live prices by symbol, in place of the prices the account last fetched
+function positionRows(account, lasts) {
+    var rows = [];
+    for (var symbol in account.positions) {
+        var position = account.positions[symbol];
+        var row = {
+            symbol: symbol,
+            quantity: position.quantity,
+            basis: Number(position.basis),
+            prevClose: position.prevClose,
+            currency: position.currency || account.currency
+        };
+        pricePosition(row, (lasts && lasts[symbol]) || position.price);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function positionColumns() {
+    return [
+        {headerName: 'Symbol', field: 'symbol', width: 90},
+        quantityColumn({headerName: 'Quantity', field: 'quantity', width: 90}),
+        numberColumn({headerName: 'Basis', field: 'basis', width: 90}),
+        numberColumn({headerName: 'Last', field: 'price', width: 90}),
+        numberColumn({headerName: 'Market Value', field: 'marketValue', width: 120}),
+        profitColumn({headerName: 'Unrealized P&L', field: 'unrealized', width: 120}),
+        profitColumn({headerName: 'Unrealized %', field: 'unrealizedPercent', width: 100}),
+        profitColumn({headerName: 'Day P&L', field: 'dayChange', width: 100}),
+        {headerName: 'Currency', field: 'currency', width: 80}
+    ];
+}
+
+// Open orders
+
+function orderRows(account) {
+    var rows = [];
+    for (var symbol in account.openOrders) {
+        account.openOrders[symbol].forEach(function(order) {
+            rows.push({
+                id: order.id,
+                symbol: symbol,
+                action: order.action,
+                quantity: order.quantity,
+                limit: order.limit,
+                stop: order.stop,
+                tif: order.tif,
+                linked: order.oco ? 'OCO' : order.oto ? 'OTO' : order.tradeid ? 'Protects ' + order.tradeid : ''
+            });
+        });
+    }
+    return rows;
+}
+
+// the account's open order a row shows
+function findOrder(account, row) {
+    return (account.openOrders[row.symbol] || []).filter(function(order) {
+        return order.id === row.id;
+    })[0] || null;
+}
+
+// limit and stop are only editable on orders that have them
+function editablePrice(field) {
+    return function(params) {
+        return params.node.data[field] !== undefined && params.node.data[field] !== null;
+    };
+}
+
+function editableClass(field) {
+    return {
+        'blotter-editable': function(params) {
+            return params.data[field] !== undefined && params.data[field] !== null;
+        }
+    };
+}
+
+// with a cancel function, orders get a Cancel button and their quantity, prices and time in force can be edited
+function orderColumns(account, cancel) {
+    // ag-grid's editable by field
+    var editable = !cancel ? {} : {
+        quantity: !account.config.disableModifyOrderQuantity,
+        limit: editablePrice('limit'),
+        stop: editablePrice('stop'),
+        tif: !account.config.gtcOnly
+    };
+    function editableColumn(def) {
+        if (!editable[def.field]) return def;
+        def.editable = editable[def.field];
+        def.cellClassRules = editableClass(def.field);
+        return def;
+    }
+    var columns = [
+        {headerName: 'Symbol', field: 'symbol', width: 90},
+        {headerName: 'Action', field: 'action', width: 70},
+        editableColumn(quantityColumn({headerName: 'Quantity', field: 'quantity', width: 90})),
+        editableColumn(numberColumn({headerName: 'Limit', field: 'limit', width: 90})),
+        editableColumn(numberColumn({headerName: 'Stop', field: 'stop', width: 90})),
+        editableColumn({headerName: 'TIF', field: 'tif', width: 70, cellEditor: 'select', cellEditorParams: {values: ['DAY', 'GTC']}}),
+        {headerName: 'Linked', field: 'linked', width: 110}
+    ];
+    if (!cancel) return columns;
+    return columns.concat({headerName: '', colId: 'cancel', width: 80, suppressSorting: true, suppressMenu: true, cellRenderer: function(params) {
+        var button = document.createElement('button');
+        button.className = 'blotter-cancel';
+        button.textContent = 'Cancel';
+        button.addEventListener('click', function(e) {
+            e.stopPropagation();
+            cancel(params.data);
+        });
+        return button;
+    }});
+}
+
+// Trades
+
+function tradeRows(account) {
+    var rows = [];
+    for (var symbol in account.trades) {
+        account.trades[symbol].forEach(function(trade) {
+            var protect = trade.protect || {};
+            rows.push({
+                id: trade.id,
+                symbol: symbol,
+                time: trade.time ? new Date(trade.time) : null,
+                quantity: trade.quantity,
+                basis: Number(trade.basis),
+                price: trade.price,
+                profitLoss: trade.quantity * (trade.price - trade.basis),
+                takeProfit: protect.limit,
+                stopLoss: protect.stop,
+                currency: trade.currency || account.currency
+            });
+        });
+    }
+    return rows;
+}
+
+function tradeColumns() {
+    return [
+        {headerName: 'Time', field: 'time', width: 150, sort: 'desc', cellRenderer: function(params) {
+            return params.value ? params.value.toLocaleString() : '';
+        }},
+        {headerName: 'Id', field: 'id', width: 90},
+        {headerName: 'Symbol', field: 'symbol', width: 90},
+        quantityColumn({headerName: 'Quantity', field: 'quantity', width: 90}),
+        numberColumn({headerName: 'Price', field: 'basis', width: 90}),
+        profitColumn({headerName: 'P&L', field: 'profitLoss', width: 100}),
+        numberColumn({headerName: 'Take Profit', field: 'takeProfit', width: 90}),
+        numberColumn({headerName: 'Stop Loss', field: 'stopLoss', width: 90}),
+        {headerName: 'Currency', field: 'currency', width: 80}
+    ];
+}
+
+/**
+ * The blotter views, by name
+ * @param {STX.Account} [account] Needed when orders can be edited, for what its configuration allows
+ * @param {Function} [cancel] Cancels the order of a row. Makes open orders editable: the grid's onCellValueChanged
+ * applies the edits.
+ * @return {Object} {positions, orders, trades}, each {title, columns, fetch, rows}: fetch names the account method
+ * that refreshes the view, and rows(account, lasts) makes its rows
+ */
+function blotterViews(account, cancel) {
+    return {
+        positions: {title: 'Positions', columns: positionColumns(), fetch: 'fetchPositions', rows: positionRows},
+        orders: {title: 'Open Orders', columns: orderColumns(account, cancel), fetch: 'fetchOpenOrders', rows: orderRows},
+        trades: {title: 'Trades', columns: tradeColumns(), fetch: 'fetchTrades', rows: tradeRows}
+    };
+}
@@ -1,12 +1,118 @@
 'use babel';
 import React, { Component } from 'react';
+import DockLayout from './DockLayout';
+import ChartPane from './ChartPane';
+import QuoteGridPane from './QuoteGridPane';
+import BlotterPane, { VIEWS } from './BlotterPane';
+import WatchListPane from './WatchListPane';
+import { createPane, defaultLayout, findPanes, insertPane, updatePane } from './layout';
 
+// what the toolbar adds: [label, kind, params]
+const NEW_PANES = [
+  ['Chart', 'chart', {}],
+  ['Quote Grid', 'quoteGrid', {}],
+  ['Watch List', 'watchList', {}],
+  ['Positions', 'blotter', {view: 'positions'}],
+  ['Open Orders', 'blotter', {view: 'orders'}],
+  ['Trades', 'blotter', {view: 'trades'}]
+];
+
+function titleOf(pane) {
+  switch (pane.kind) {
+    case 'chart': return pane.params.symbol || 'Chart';
+    case 'quoteGrid': return pane.params.watchList || 'Quote Grid';
+    case 'watchList': return 'Watch List';
+    case 'blotter': return (VIEWS[pane.params.view] || VIEWS.positions).title;
+  }
+  return pane.kind;
+}
+
+/**
+ * The dashboard: charts, quote grids, blotters and watch lists docked in one window. A symbol chosen in any pane
+ * shows on the chart last clicked, and goes to the windows on the dashboard's link channel, as a symbol from those
+ * windows comes to the chart.
+ */
 export default class App extends Component {
+
+  constructor(props) {
+    super(props);
+    // the chart symbols go to, and the symbol last chosen
+    this.state = {chart: null, symbol: null};
+  }
+
+  componentDidMount() {
+    this.unlisten = window.desktop.links.onSymbol(symbol => this.showOnChart(symbol));
+  }
+
+  componentWillUnmount() {
+    this.unlisten();
+  }
+
+  linkedChart() {
+    var charts = findPanes(this.props.layout, pane => pane.kind === 'chart');
+    return charts.filter(pane => pane.id === this.state.chart)[0] || charts[0] || null;
+  }
+
+  showOnChart(symbol) {
+    var chart = this.linkedChart();
+    if (chart) this.props.onLayoutChange(layout => updatePane(layout, chart.id, {symbol: symbol}));
+    else this.props.onLayoutChange(layout => insertPane(layout, createPane('chart', {symbol: symbol})));
+    this.setState({symbol: symbol});
+  }
+
+  symbolChosen(symbol, pane) {
+    if (pane.kind === 'chart') this.setState({chart: pane.id, symbol: symbol});
+    else this.showOnChart(symbol);
+    window.STX.Desktop.publishSymbol(symbol);
+  }
+
+  focusPane(pane) {
+    if (pane.kind === 'chart') this.setState({chart: pane.id, symbol: pane.params.symbol});
+  }
+
+  addPane(kind, params) {
+    this.props.onLayoutChange(layout => insertPane(layout, createPane(kind, Object.assign({}, params))));
+  }
+
+  renderPane(pane, visible) {
+    var props = {
+      pane: pane,
+      visible: visible,
+      symbol: this.state.symbol,
+      // charts save their layout as they change, so params are merged into the latest dashboard layout
+      onParams: params => this.props.onLayoutChange(layout => updatePane(layout, pane.id, params)),
+      onSymbol: symbol => this.symbolChosen(symbol, pane)
+    };
+    switch (pane.kind) {
+      case 'chart': return <ChartPane {...props} />;
+      case 'quoteGrid': return <QuoteGridPane {...props} />;
+      case 'watchList': return <WatchListPane {...props} />;
+      case 'blotter': return <BlotterPane {...props} />;
+    }
+    return null;
+  }
+
   render() {
     return (
-      <div>
-        Hello World - React
+      <div className="dashboard">
+        <div className="dashboard-toolbar">
+          {NEW_PANES.map(([label, kind, params]) =>
+            <button key={label} onClick={() => this.addPane(kind, params)}>{label}</button>)}
+          <button className="dashboard-reset" onClick={() => this.props.onLayoutChange(defaultLayout())}>Reset Layout</button>
+        </div>
+        <DockLayout layout={this.props.layout} onChange={this.props.onLayoutChange} titleOf={titleOf}
+                    renderPane={(pane, visible) => this.renderPane(pane, visible)}
+                    onFocusPane={pane => this.focusPane(pane)}
+                    empty="Add a chart, grid or blotter from the toolbar." />
       </div>
     );
   }
+
 }
+
+App.propTypes = {
+  // see layout.js
+  layout: React.PropTypes.object,
+  // called with the new layout, or with a function that makes it from the latest
+  onLayoutChange: React.PropTypes.func.isRequired
+};
@@ -0,0 +1,60 @@
+'use babel';
+import React, { Component } from 'react';
+import { AgGridReact } from 'ag-grid-react';
+import { getAccount, onAccountChange } from './account';
+
+// The views of the Positions, Open Orders and Trades windows (blotterViews.js, which the page loads before this
+// bundle), to look at. Orders are changed from the charts or those windows.
+export const VIEWS = window.blotterViews();
+
+export default class BlotterPane extends Component {
+
+  constructor(props) {
+    super(props);
+    // columns of the pane's own, ag-grid keeps state in them
+    this.views = window.blotterViews();
+  }
+
+  componentDidMount() {
+    this.unlisten = onAccountChange(() => this.refresh());
+  }
+
+  componentWillUnmount() {
+    this.unlisten();
+    this.api = null;
+  }
+
+  view() {
+    return this.views[this.props.pane.params.view] || this.views.positions;
+  }
+
+  refresh() {
+    var account = getAccount(), view = this.view();
+    account[view.fetch](() => {
+      if (this.api) this.api.setRowData(view.rows(account));
+    });
+  }
+
+  gridReady(params) {
+    this.api = params.api;
+    this.refresh();
+  }
+
+  render() {
+    return (
+      <div className="dashboard-pane ag-dark">
+        <div className="dashboard-grid">
+          <AgGridReact columnDefs={this.view().columns} rowHeight={26} rowSelection="single" enableSorting={true}
+                       onGridReady={params => this.gridReady(params)}
+                       onRowClicked={params => this.props.onSymbol(params.data.symbol)} />
+        </div>
+      </div>
+    );
+  }
+
+}
+
+BlotterPane.propTypes = {
+  pane: React.PropTypes.object.isRequired,
+  onSymbol: React.PropTypes.func.isRequired
+};
@@ -0,0 +1,88 @@
+'use babel';
+import React, { Component } from 'react';
+
+// the charts of every chart pane, to apply the preferences to
+var charts = new Set();
+var followingSettings = false;
+
+function followSettings() {
+  if (followingSettings) return;
+  followingSettings = true;
+  window.STX.Desktop.onSettings((settings, changed) => {
+    charts.forEach(stx => window.STX.Desktop.applySettings(stx, changed));
+  });
+}
+
+/**
+ * A chart in a dashboard pane, fed by the quote hub in the main process as the chart windows are. The pane's params
+ * hold the symbol and the chart's layout (periodicity, chart type, studies...), which the chart keeps up to date,
+ * so that a saved dashboard comes back with its charts as they were.
+ */
+export default class ChartPane extends Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {symbol: ''};
+  }
+
+  componentDidMount() {
+    var STX = window.STX;
+    var params = this.props.pane.params;
+    var stx = this.stx = new window.STXChart({container: this.container, layout: {candleWidth: 8, crosshair: true}});
+    stx.chart.xAxis.axisType = 'ntb';
+    stx.setMarket(STX.Market.NYSE);
+    this.feed = new STX.QuoteFeed.Desktop();
+    stx.attachQuoteFeed(this.feed, {refreshInterval: 0});
+    if (params.layout) stx.importLayout(params.layout);
+    else stx.setPeriodicityV2(1, 'day');
+    STX.Desktop.applySettings(stx);
+    charts.add(stx);
+    followSettings();
+    stx.callbacks.layout = () => this.props.onParams({layout: stx.exportLayout()});
+    stx.newChart(params.symbol || STX.Desktop.settings.defaultSymbol);
+  }
+
+  componentDidUpdate(prevProps) {
+    var symbol = this.props.pane.params.symbol;
+    if (symbol && symbol !== prevProps.pane.params.symbol && symbol !== this.stx.chart.symbol) this.stx.newChart(symbol);
+    // a tab that was hidden has no size until it is shown
+    if (this.props.visible && !prevProps.visible) this.stx.resizeChart();
+  }
+
+  componentWillUnmount() {
+    charts.delete(this.stx);
+    // the feed's subscriptions at the quote hub outlive the chart otherwise
+    this.feed.destroy();
+    this.stx.destroy();
+    this.stx = null;
+  }
+
+  changeSymbol(e) {
+    e.preventDefault();
+    var symbol = this.state.symbol.trim().toUpperCase();
+    if (!symbol) return;
+    this.setState({symbol: ''});
+    this.props.onParams({symbol: symbol});
+    this.props.onSymbol(symbol);
+  }
+
+  render() {
+    return (
+      <div className="dashboard-pane dashboard-chart">
+        <form className="dashboard-toolbar" onSubmit={e => this.changeSymbol(e)}>
+          <input type="text" placeholder={this.props.pane.params.symbol || 'Symbol'} value={this.state.symbol}
+                 onChange={e => this.setState({symbol: e.target.value})} />
+        </form>
+        <div className="dashboard-chart-container" ref={container => this.container = container} />
+      </div>
+    );
+  }
+
+}
+
+ChartPane.propTypes = {
+  pane: React.PropTypes.object.isRequired,
+  visible: React.PropTypes.bool,
+  onParams: React.PropTypes.func.isRequired,
+  onSymbol: React.PropTypes.func.isRequired
+};
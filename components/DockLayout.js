@@ -0,0 +1,164 @@
+'use babel';
+import React, { Component } from 'react';
+import { movePane, removePane, selectTab, resizeSplit } from './layout';
+
+// the smallest share of a split a child can be dragged down to
+const MIN_SIZE = 0.05;
+
+// how far in from a stack's edge a pane has to be dropped to go beside the stack rather than into it
+const EDGE = 0.25;
+
+// the pane being dragged. Drag events only tell the drop targets its type.
+const DRAG_TYPE = 'application/x-dashboard-pane';
+var dragging = null;
+
+// where a pane dropped at the event's position goes: 'left', 'right', 'top', 'bottom' or 'center'
+function dropZone(e, el) {
+  var rect = el.getBoundingClientRect();
+  var x = (e.clientX - rect.left) / rect.width, y = (e.clientY - rect.top) / rect.height;
+  if (x < EDGE) return 'left';
+  if (x > 1 - EDGE) return 'right';
+  if (y < EDGE) return 'top';
+  if (y > 1 - EDGE) return 'bottom';
+  return 'center';
+}
+
+class Split extends Component {
+
+  // drags the divider after child i
+  startResize(e, i) {
+    e.preventDefault();
+    var node = this.props.node;
+    var rect = this.el.getBoundingClientRect();
+    var row = node.direction === 'row';
+    var start = node.sizes.slice(0, i).reduce((sum, size) => sum + size, 0);
+    var both = node.sizes[i] + node.sizes[i + 1];
+    var move = e => {
+      var at = row ? (e.clientX - rect.left) / rect.width : (e.clientY - rect.top) / rect.height;
+      var size = Math.max(MIN_SIZE, Math.min(both - MIN_SIZE, at - start));
+      var sizes = this.props.node.sizes.slice();
+      sizes[i] = size;
+      sizes[i + 1] = both - size;
+      this.props.onChange(resizeSplit(this.props.layout, node.id, sizes));
+    };
+    var stop = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', stop);
+    };
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', stop);
+  }
+
+  render() {
+    var node = this.props.node;
+    var children = [];
+    node.children.forEach((child, i) => {
+      if (i) {
+        children.push(<div key={'divider-' + i} className="dock-divider" onMouseDown={e => this.startResize(e, i - 1)} />);
+      }
+      children.push(
+        <div key={child.id} className="dock-cell" style={{flex: node.sizes[i] + ' 1 0'}}>
+          <DockNode {...this.props} node={child} />
+        </div>
+      );
+    });
+    return <div className={'dock-split dock-' + node.direction} ref={el => this.el = el}>{children}</div>;
+  }
+
+}
+
+class TabStack extends Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {zone: null};
+  }
+
+  dragOver(e, zone) {
+    if (!dragging) return;
+    e.preventDefault();
+    if (zone !== this.state.zone) this.setState({zone: zone});
+  }
+
+  drop(e, zone) {
+    e.preventDefault();
+    this.setState({zone: null});
+    if (!dragging) return;
+    var id = dragging;
+    dragging = null;
+    this.props.onChange(movePane(this.props.layout, id, this.props.node.id, zone));
+  }
+
+  render() {
+    var node = this.props.node;
+    return (
+      <div className="dock-tabs">
+        <div className="dock-tab-strip" onDragOver={e => this.dragOver(e, 'center')}
+             onDragLeave={() => this.setState({zone: null})} onDrop={e => this.drop(e, 'center')}>
+          {node.panes.map((pane, i) =>
+            <div key={pane.id} draggable="true" className={'dock-tab' + (i === node.active ? ' active' : '')}
+                 onClick={() => this.props.onChange(selectTab(this.props.layout, node.id, i))}
+                 onDragStart={e => {
+                   dragging = pane.id;
+                   e.dataTransfer.setData(DRAG_TYPE, pane.id);
+                   e.dataTransfer.effectAllowed = 'move';
+                 }}
+                 onDragEnd={() => dragging = null}>
+              {this.props.titleOf(pane)}
+              <span className="dock-close" title="Close" onClick={e => {
+                e.stopPropagation();
+                this.props.onChange(removePane(this.props.layout, pane.id));
+              }}>×</span>
+            </div>)}
+        </div>
+        <div className="dock-tab-body" ref={el => this.body = el}
+             onDragOver={e => this.dragOver(e, dropZone(e, this.body))}
+             onDragLeave={e => {
+               if (!this.body.contains(e.relatedTarget)) this.setState({zone: null});
+             }}
+             onDrop={e => this.drop(e, dropZone(e, this.body))}>
+          {/* every tab stays mounted, so that hidden charts and grids keep their state */}
+          {node.panes.map((pane, i) =>
+            <div key={pane.id} className="dock-pane" style={{display: i === node.active ? '' : 'none'}}
+                 onMouseDown={() => this.props.onFocusPane(pane)}>
+              {this.props.renderPane(pane, i === node.active)}
+            </div>)}
+          {this.state.zone ? <div className={'dock-drop dock-drop-' + this.state.zone} /> : null}
+        </div>
+      </div>
+    );
+  }
+
+}
+
+function DockNode(props) {
+  return props.node.type === 'split' ? <Split {...props} /> : <TabStack {...props} />;
+}
+
+/**
+ * Lays out a dashboard's panes in splits and tab stacks (see layout.js). Dividers resize the splits, and a tab dragged
+ * onto a stack joins it, or onto a stack's edge splits the stack. Every change comes out of onChange as a new layout.
+ */
+export default function DockLayout(props) {
+  if (!props.layout) return <div className="dock-layout dock-empty">{props.empty}</div>;
+  return (
+    <div className="dock-layout">
+      <DockNode {...props} node={props.layout} />
+    </div>
+  );
+}
+
+DockLayout.propTypes = {
+  layout: React.PropTypes.object,
+  onChange: React.PropTypes.func.isRequired,
+  // (pane, visible) returns the pane's element
+  renderPane: React.PropTypes.func.isRequired,
+  titleOf: React.PropTypes.func.isRequired,
+  onFocusPane: React.PropTypes.func,
+  // shown when there are no panes
+  empty: React.PropTypes.node
+};
+
+DockLayout.defaultProps = {
+  onFocusPane: () => {}
+};
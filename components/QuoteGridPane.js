@@ -0,0 +1,160 @@
+'use babel';
+import React, { Component } from 'react';
+import { AgGridReact } from 'ag-grid-react';
+import SparklineCellRenderer, { LOOKBACKS } from '../ag-grid/sparklineCellRenderer';
+import { watchLists, findWatchList, onWatchListsChange } from './watchLists';
+import { watch, subscribe } from './snapshots';
+
+function formatNumber(value) {
+  if (value === null || value === undefined || isNaN(value)) return '';
+  return Number(value).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+function numberColumn(def) {
+  return Object.assign({cellClass: 'dashboard-number', cellRenderer: params => formatNumber(params.value)}, def);
+}
+
+// the sparkline settings of a pane that has not chosen its own
+const CHART_DEFAULTS = {lookback: 30, intraday: false, chartStyle: 'line'};
+
+function columnDefs(chart) {
+  return [
+    {headerName: 'Symbol', field: 'symbol', width: 80},
+    {headerName: 'Chart', field: 'symbol', colId: 'chart', width: 110, suppressSorting: true,
+      cellRendererFramework: SparklineCellRenderer,
+      cellRendererParams: {lookback: chart.lookback, intraday: chart.intraday, chartStyle: chart.chartStyle}},
+    numberColumn({headerName: 'Last', field: 'last', width: 80}),
+    numberColumn({headerName: 'Change', field: 'change', width: 80}),
+    numberColumn({headerName: '% Change', field: 'changePercent', width: 80}),
+    numberColumn({headerName: 'Volume', field: 'volume', width: 90, cellRenderer: params => params.value ? window.STX.condenseInt(params.value) : ''})
+  ];
+}
+
+// the snapshot fields the grid shows
+const FIELDS = ['last', 'change', 'changePercent', 'volume'];
+
+// A watch list with live quote snapshots, as in the Quote Grid window (ag-grid.js). The pane's params keep its watch
+// list and the sparkline settings: lookback, intraday and chartStyle.
+export default class QuoteGridPane extends Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {lists: watchLists()};
+    // row nodes by symbol, and snapshots waiting for the next frame by symbol
+    this.nodes = {};
+    this.pending = {};
+    this.frame = null;
+  }
+
+  componentDidMount() {
+    this.unlisten = onWatchListsChange(() => this.setState({lists: watchLists()}));
+    this.unsubscribe = subscribe(snapshots => {
+      snapshots.forEach(snapshot => this.pending[snapshot.symbol] = snapshot);
+      if (!this.frame) this.frame = requestAnimationFrame(() => this.applySnapshots());
+    });
+  }
+
+  componentWillUnmount() {
+    this.unlisten();
+    this.unsubscribe();
+    cancelAnimationFrame(this.frame);
+    watch(this.props.pane.id, null);
+  }
+
+  list() {
+    return findWatchList(this.state.lists, this.props.pane.params.watchList);
+  }
+
+  chart() {
+    var params = this.props.pane.params;
+    return {
+      lookback: params.lookback || CHART_DEFAULTS.lookback,
+      intraday: params.intraday === undefined ? CHART_DEFAULTS.intraday : params.intraday,
+      chartStyle: params.chartStyle || CHART_DEFAULTS.chartStyle
+    };
+  }
+
+  // the column definitions of the sparkline settings, made again only when they change so the grid keeps its columns
+  columnDefs() {
+    var chart = this.chart();
+    var key = [chart.lookback, chart.intraday, chart.chartStyle].join();
+    if (key !== this.columnsKey) {
+      this.columnsKey = key;
+      this.columns = columnDefs(chart);
+    }
+    return this.columns;
+  }
+
+  // sets the rows whenever the list or its symbols change, and watches the symbols
+  showList() {
+    if (!this.api) return;
+    var list = this.list();
+    var symbols = list ? list.symbols : [];
+    if (this.symbols && this.symbols.join() === symbols.join()) return;
+    this.symbols = symbols;
+    this.api.setRowData(symbols.map(symbol => ({symbol: symbol})));
+    this.nodes = {};
+    this.api.forEachNode(node => this.nodes[node.data.symbol] = node);
+    watch(this.props.pane.id, symbols);
+  }
+
+  applySnapshots() {
+    this.frame = null;
+    var changed = [];
+    for (var symbol in this.pending) {
+      var node = this.nodes[symbol];
+      if (!node) continue;
+      FIELDS.forEach(field => node.data[field] = this.pending[symbol][field]);
+      changed.push(node);
+    }
+    this.pending = {};
+    if (changed.length) this.api.refreshCells(changed, FIELDS);
+  }
+
+  componentDidUpdate() {
+    this.showList();
+  }
+
+  gridReady(params) {
+    this.api = params.api;
+    this.showList();
+  }
+
+  render() {
+    var list = this.list();
+    var chart = this.chart();
+    return (
+      <div className="dashboard-pane ag-dark">
+        <div className="dashboard-toolbar">
+          <select value={list ? list.name : ''} disabled={!list}
+                  onChange={e => this.props.onParams({watchList: e.target.value})}>
+            {this.state.lists.map(list => <option key={list.name} value={list.name}>{list.name}</option>)}
+          </select>
+          <select value={chart.lookback} onChange={e => this.props.onParams({lookback: Number(e.target.value)})}>
+            {LOOKBACKS.map(bars => <option key={bars} value={bars}>{bars} bars</option>)}
+          </select>
+          <label>
+            <input type="checkbox" checked={chart.intraday}
+                   onChange={e => this.props.onParams({intraday: e.target.checked})} /> Intraday
+          </label>
+          <label>
+            <input type="checkbox" checked={chart.chartStyle === 'candle'}
+                   onChange={e => this.props.onParams({chartStyle: e.target.checked ? 'candle' : 'line'})} /> Candles
+          </label>
+        </div>
+        <div className="dashboard-grid">
+          <AgGridReact columnDefs={this.columnDefs()} rowHeight={26} rowSelection="single" enableSorting={true}
+                       onGridReady={params => this.gridReady(params)}
+                       onRowClicked={params => this.props.onSymbol(params.data.symbol)} />
+        </div>
+      </div>
+    );
+  }
+
+}
+
+QuoteGridPane.propTypes = {
+  pane: React.PropTypes.object.isRequired,
+  onParams: React.PropTypes.func.isRequired,
+  onSymbol: React.PropTypes.func.isRequired
+};
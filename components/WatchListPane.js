@@ -0,0 +1,50 @@
+'use babel';
+import React, { Component } from 'react';
+import { watchLists, findWatchList, onWatchListsChange } from './watchLists';
+
+// One of the charts' watch lists. Choosing a symbol shows it on the dashboard's chart.
+export default class WatchListPane extends Component {
+
+  constructor(props) {
+    super(props);
+    this.state = {lists: watchLists()};
+  }
+
+  componentDidMount() {
+    this.unlisten = onWatchListsChange(() => this.setState({lists: watchLists()}));
+  }
+
+  componentWillUnmount() {
+    this.unlisten();
+  }
+
+  render() {
+    var list = findWatchList(this.state.lists, this.props.pane.params.watchList);
+    return (
+      <div className="dashboard-pane dashboard-watch-list">
+        <div className="dashboard-toolbar">
+          <select value={list ? list.name : ''} disabled={!list}
+                  onChange={e => this.props.onParams({watchList: e.target.value})}>
+            {this.state.lists.map(list => <option key={list.name} value={list.name}>{list.name}</option>)}
+          </select>
+        </div>
+        {list ?
+          <ul>
+            {list.symbols.map(symbol =>
+              <li key={symbol} className={symbol === this.props.symbol ? 'selected' : ''}
+                  onClick={() => this.props.onSymbol(symbol)}>{symbol}</li>)}
+          </ul> :
+          <p className="dashboard-empty">No watch list to show. Create one in the Watch List panel of an advanced chart.</p>}
+      </div>
+    );
+  }
+
+}
+
+WatchListPane.propTypes = {
+  pane: React.PropTypes.object.isRequired,
+  // the symbol the dashboard's chart shows
+  symbol: React.PropTypes.string,
+  onParams: React.PropTypes.func.isRequired,
+  onSymbol: React.PropTypes.func.isRequired
+};
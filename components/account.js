@@ -0,0 +1,21 @@
+'use babel';
+
+// The account the blotter panes show. One per dashboard, made when the first pane needs it, and shared with
+// every other window through the main process (see STX.Desktop.createAccount).
+
+var account = null;
+var listeners = new Set();
+
+export function getAccount() {
+  if (!account) account = window.STX.Desktop.createAccount(() => listeners.forEach(cb => cb()));
+  return account;
+}
+
+/**
+ * @param {Function} cb Called when any window changes the account
+ * @return {Function} Stops the callbacks
+ */
+export function onAccountChange(cb) {
+  listeners.add(cb);
+  return () => listeners.delete(cb);
+}
@@ -0,0 +1,174 @@
+'use babel';
+
+// A dashboard's dock layout. It is plain JSON, saved and restored as it is:
+//
+//   split: {type: 'split', id, direction: 'row' | 'column', sizes: [0.6, 0.4], children: [node, ...]}
+//   tabs:  {type: 'tabs', id, active: 0, panes: [pane, ...]}
+//   pane:  {id, kind: 'chart' | 'quoteGrid' | 'blotter' | 'watchList', params: {...}}
+//
+// sizes are the share of the split each child takes. The functions here never change the layout they are
+// given, they return a new one, and tidy it up as they go: empty tab stacks go, a split left with one child
+// is replaced by the child and a split in the same direction as its parent is merged into it.
+
+var nextId = 0;
+
+export function newId(prefix) {
+  return prefix + '-' + Date.now().toString(36) + '-' + (++nextId);
+}
+
+export function createPane(kind, params) {
+  return {id: newId('pane'), kind: kind, params: params || {}};
+}
+
+export function createTabs(panes) {
+  return {type: 'tabs', id: newId('tabs'), active: 0, panes: panes};
+}
+
+export function createSplit(direction, children, sizes) {
+  return {
+    type: 'split',
+    id: newId('split'),
+    direction: direction,
+    sizes: sizes || children.map(() => 1 / children.length),
+    children: children
+  };
+}
+
+// what a new dashboard shows: a chart beside the watch list and the quote grid, the blotters below
+export function defaultLayout() {
+  return createSplit('column', [
+    createSplit('row', [
+      createTabs([createPane('chart', {symbol: 'IBM'})]),
+      createSplit('column', [
+        createTabs([createPane('watchList')]),
+        createTabs([createPane('quoteGrid')])
+      ])
+    ], [0.65, 0.35]),
+    createTabs([
+      createPane('blotter', {view: 'positions'}),
+      createPane('blotter', {view: 'orders'}),
+      createPane('blotter', {view: 'trades'})
+    ])
+  ], [0.7, 0.3]);
+}
+
+// the panes in the layout, in order, that pass the test
+export function findPanes(node, test) {
+  if (!node) return [];
+  if (node.type === 'split') {
+    return node.children.reduce((panes, child) => panes.concat(findPanes(child, test)), []);
+  }
+  return node.panes.filter(pane => !test || test(pane));
+}
+
+// calls fn with each node and returns the layout with the nodes fn returns in their place
+function map(node, fn) {
+  if (node.type === 'split') {
+    node = Object.assign({}, node, {children: node.children.map(child => map(child, fn))});
+  }
+  return fn(node);
+}
+
+function normalize(node) {
+  if (!node) return null;
+  if (node.type === 'tabs') {
+    if (!node.panes.length) return null;
+    return Object.assign({}, node, {active: Math.max(0, Math.min(node.active, node.panes.length - 1))});
+  }
+  var children = [], sizes = [];
+  node.children.forEach((child, i) => {
+    child = normalize(child);
+    if (!child) return;
+    if (child.type === 'split' && child.direction === node.direction) {
+      child.children.forEach((grandchild, j) => {
+        children.push(grandchild);
+        sizes.push(node.sizes[i] * child.sizes[j]);
+      });
+    } else {
+      children.push(child);
+      sizes.push(node.sizes[i]);
+    }
+  });
+  if (!children.length) return null;
+  if (children.length === 1) return children[0];
+  var total = sizes.reduce((sum, size) => sum + size, 0) || 1;
+  return Object.assign({}, node, {children: children, sizes: sizes.map(size => size / total)});
+}
+
+export function updatePane(layout, id, params) {
+  return map(layout, node => {
+    if (node.type !== 'tabs' || !node.panes.some(pane => pane.id === id)) return node;
+    return Object.assign({}, node, {panes: node.panes.map(pane => {
+      return pane.id === id ? Object.assign({}, pane, {params: Object.assign({}, pane.params, params)}) : pane;
+    })});
+  });
+}
+
+// takes the pane out of its tab stack, leaving the stack even if it is empty
+function takePane(layout, id) {
+  return map(layout, node => {
+    if (node.type !== 'tabs') return node;
+    var i = node.panes.findIndex(pane => pane.id === id);
+    if (i === -1) return node;
+    var panes = node.panes.slice();
+    panes.splice(i, 1);
+    return Object.assign({}, node, {panes: panes, active: i < node.active ? node.active - 1 : node.active});
+  });
+}
+
+export function removePane(layout, id) {
+  return normalize(takePane(layout, id));
+}
+
+/**
+ * Puts a pane in a tab stack, or beside it
+ * @param {Object} layout The layout, or null when the dashboard is empty
+ * @param {Object} pane
+ * @param {String} [tabsId] The stack. Defaults to the first.
+ * @param {String} [zone] 'center' for a tab of the stack, 'left', 'right', 'top' or 'bottom' for a new stack
+ * beside it. Defaults to center.
+ * @return {Object} The new layout
+ */
+export function insertPane(layout, pane, tabsId, zone) {
+  if (!layout) return createTabs([pane]);
+  if (!tabsId || !findTabs(layout, tabsId)) tabsId = firstTabs(layout).id;
+  zone = zone || 'center';
+  return normalize(map(layout, node => {
+    if (node.id !== tabsId) return node;
+    if (zone === 'center') {
+      return Object.assign({}, node, {panes: node.panes.concat([pane]), active: node.panes.length});
+    }
+    var added = createTabs([pane]);
+    var before = zone === 'left' || zone === 'top';
+    return createSplit(zone === 'left' || zone === 'right' ? 'row' : 'column', before ? [added, node] : [node, added]);
+  }));
+}
+
+// moves a pane that was dragged to a tab stack or to one of its edges, see insertPane
+export function movePane(layout, id, tabsId, zone) {
+  var pane = findPanes(layout, pane => pane.id === id)[0];
+  if (!pane) return layout;
+  // the stack stays in the layout while it is empty, in case the pane is dropped back on it
+  return insertPane(takePane(layout, id), pane, tabsId, zone);
+}
+
+export function selectTab(layout, tabsId, index) {
+  return map(layout, node => node.id === tabsId ? Object.assign({}, node, {active: index}) : node);
+}
+
+export function resizeSplit(layout, splitId, sizes) {
+  return map(layout, node => node.id === splitId ? Object.assign({}, node, {sizes: sizes}) : node);
+}
+
+export function firstTabs(node) {
+  return node.type === 'tabs' ? node : firstTabs(node.children[0]);
+}
+
+export function findTabs(node, id) {
+  if (node.type === 'tabs') return node.id === id ? node : null;
+  for (var i = 0; i < node.children.length; i++) {
+    var found = findTabs(node.children[i], id);
+    if (found) return found;
+  }
+  return null;
+}
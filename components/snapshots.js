@@ -0,0 +1,40 @@
+'use babel';
+
+// Quote snapshots for the panes of a dashboard. The main process keeps one set of symbols per window
+// (desktop/snapshots.js), so the panes' symbols are watched together and each snapshot goes to every pane.
+
+// symbols by pane id
+var watching = {};
+var listeners = new Set();
+var unlisten = null;
+
+function watchAll() {
+  var symbols = [];
+  Object.keys(watching).forEach(id => {
+    watching[id].forEach(symbol => {
+      if (symbols.indexOf(symbol) === -1) symbols.push(symbol);
+    });
+  });
+  window.desktop.snapshots.watch(symbols);
+}
+
+/**
+ * Watches the symbols a pane shows, replacing those it watched before
+ * @param {String} id The pane
+ * @param {Array} symbols None to stop watching
+ */
+export function watch(id, symbols) {
+  if (symbols && symbols.length) watching[id] = symbols;
+  else delete watching[id];
+  watchAll();
+}
+
+/**
+ * @param {Function} cb Called with each batch of snapshots, see desktop.snapshots.onUpdate
+ * @return {Function} Stops the callbacks
+ */
+export function subscribe(cb) {
+  if (!unlisten) unlisten = window.desktop.snapshots.onUpdate(snapshots => listeners.forEach(listener => listener(snapshots)));
+  listeners.add(cb);
+  return () => listeners.delete(cb);
+}
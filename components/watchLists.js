@@ -0,0 +1,28 @@
+'use babel';
+
+// The watch lists the charts keep (STX.Watch, in STX.StorageManager), read by watchLists in grids.js, which the page
+// loads before this bundle
+
+const STORAGE_KEY = 'stx-watchLists';
+
+// [{name, symbols}]
+export function watchLists() {
+  return window.watchLists();
+}
+
+// the list of the name, or the first when there is no such list
+export function findWatchList(lists, name) {
+  return lists.filter(list => list.name === name)[0] || lists[0] || null;
+}
+
+/**
+ * @param {Function} cb Called when a chart window adds, edits or removes a list
+ * @return {Function} Stops the callbacks
+ */
+export function onWatchListsChange(cb) {
+  var listener = event => {
+    if (event.key === STORAGE_KEY) cb();
+  };
+  window.addEventListener('storage', listener);
+  return () => window.removeEventListener('storage', listener);
+}
@@ -1,12 +1,65 @@
 'use babel';
-import React from 'react';
+import React, { Component } from 'react';
 import ReactDOM from 'react-dom';
 
+import App from '../components/App'
+import { defaultLayout } from '../components/layout'
 
+// where the dashboard keeps its dock layout between launches
+const STORAGE_KEY = 'stx-dashboard';
 
-import App from '../components/App'
+// how long the layout has to stay put before it is stored, so that dragging a divider stores it once
+const STORE_DELAY = 500;
+
+function storedLayout() {
+  try {
+    var stored = JSON.parse(window.STX.StorageManager.get(STORAGE_KEY));
+    if (stored && stored.layout !== undefined) return stored.layout;
+  } catch (e) {
+    window.desktop.diagnostics.log({level: 'warn', subsystem: 'app', message: 'Cannot read the dashboard layout', details: {error: e.message}});
+  }
+  return defaultLayout();
+}
+
+// Keeps the dashboard's dock layout: the one saved in a workspace file when the window was opened from one,
+// otherwise the one stored when the dashboard was last changed. The layout is JSON, see components/layout.js.
+class Dashboard extends Component {
+
+  constructor(props) {
+    super(props);
+    var restored = window.desktop.workspace.restore();
+    this.state = {layout: restored && restored.layout !== undefined ? restored.layout : storedLayout()};
+    this.timer = null;
+  }
+
+  componentDidMount() {
+    window.desktop.workspace.provide(() => ({layout: this.state.layout}));
+    // a change made just before the window closes
+    window.addEventListener('beforeunload', () => {
+      if (this.timer) this.store();
+    });
+  }
+
+  store() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    window.STX.StorageManager.store(STORAGE_KEY, JSON.stringify({layout: this.state.layout}));
+  }
+
+  changeLayout(update) {
+    this.setState(state => ({layout: typeof update === 'function' ? update(state.layout) : update}), () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.store(), STORE_DELAY);
+    });
+  }
+
+  render() {
+    return <App layout={this.state.layout} onLayoutChange={update => this.changeLayout(update)} />;
+  }
+
+}
 
 ReactDOM.render(
-    <App />,
+    <Dashboard />,
   document.getElementById('container')
 );
@@ -0,0 +1,37 @@
+const {BrowserWindow, ipcMain} = require('electron');
+const store = require('./store');
+
+// The trading account every window shares: {balances, positions, openOrders, trades} in the formats
+// of STX.Account. Trade From Chart panels and the blotter windows (blotter.html) read and write it
+// through STX.Desktop.createAccount, so an order placed on one chart shows everywhere. Null until the
+// first window saves the demo account it starts with.
+const ACCOUNT_KEY = 'account';
+
+function get() {
+  return store.shared().get(ACCOUNT_KEY);
+}
+
+/**
+ * Saves the account and sends it to every window but the one that changed it, as 'account-changed'
+ * @param {Object} account {balances, positions, openOrders, trades}
+ * @param {WebContents} [from] The window that changed it
+ */
+function set(account, from) {
+  store.shared().set(ACCOUNT_KEY, account);
+  BrowserWindow.getAllWindows().forEach(function (win) {
+    if (win.webContents !== from) win.webContents.send('account-changed', account);
+  });
+}
+
+ipcMain.on('account-get', function (event) {
+  event.returnValue = get();
+});
+
+ipcMain.on('account-set', function (event, account) {
+  set(account, event.sender);
+});
+
+module.exports = {
+  get: get,
+  set: set
+};
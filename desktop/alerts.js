@@ -0,0 +1,73 @@
+const {BrowserWindow, ipcMain} = require('electron');
+const store = require('./store');
+
+// [{id, symbol, price, above, created}]. above: the alert fires when the price rises to the alert
+// price, otherwise when it falls to it. Charts showing the symbol check their own quotes against
+// these and draw them, see STX.Desktop.attach.
+const ALERTS_KEY = 'priceAlerts';
+
+function list() {
+  return store.shared().get(ALERTS_KEY) || [];
+}
+
+function write(alerts) {
+  store.shared().set(ALERTS_KEY, alerts);
+  BrowserWindow.getAllWindows().forEach(function (win) {
+    win.webContents.send('alerts-changed', alerts);
+  });
+}
+
+/**
+ * Adds a price alert
+ * @param {Object} alert {symbol, price, above}
+ * @return {String} The alert id
+ */
+function add(alert) {
+  var id = Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  write(list().concat({
+    id: id,
+    symbol: alert.symbol,
+    price: alert.price,
+    above: !!alert.above,
+    created: Date.now()
+  }));
+  return id;
+}
+
+/**
+ * Removes alerts
+ * @param {Array} ids
+ * @return {Boolean} Whether any of the alerts was still there
+ */
+function remove(ids) {
+  var alerts = list();
+  var remaining = alerts.filter(function (alert) {
+    return ids.indexOf(alert.id) === -1;
+  });
+  if (remaining.length === alerts.length) return false;
+  write(remaining);
+  return true;
+}
+
+ipcMain.on('alerts-list', function (event) {
+  event.returnValue = list();
+});
+
+ipcMain.on('alerts-add', function (event, alert) {
+  event.returnValue = add(alert);
+});
+
+ipcMain.on('alerts-remove', function (event, ids) {
+  remove(ids);
+});
+
+// several charts can see the same alert fire, only the first one to report it gets true and notifies
+ipcMain.on('alerts-trigger', function (event, id) {
+  event.returnValue = remove([id]);
+});
+
+module.exports = {
+  list: list,
+  add: add,
+  remove: remove
+};
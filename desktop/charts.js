@@ -0,0 +1,254 @@
+const {BrowserWindow, ipcMain} = require('electron');
+const EventEmitter = require('events');
+
+// The View, Periodicity, Chart Type, Studies and Drawing menus. Items send 'chart-command' to the
+// focused chart window, which runs it with STX.Desktop.chartCommands. Charts report their layout
+// back as 'chart-state' to keep the check and radio items in step.
+
+const PERIODICITIES = [
+  {label: '1 Minute', period: 1, interval: 1},
+  {label: '5 Minutes', period: 1, interval: 5},
+  {label: '10 Minutes', period: 1, interval: 10},
+  {label: '30 Minutes', period: 1, interval: 30},
+  {label: '1 Hour', period: 2, interval: 30},
+  null,
+  {label: '1 Day', period: 1, interval: 'day'},
+  {label: '1 Week', period: 1, interval: 'week'},
+  {label: '1 Month', period: 1, interval: 'month'}
+];
+
+const CHART_TYPES = [
+  {label: 'Candle', type: 'candle'},
+  {label: 'Bar', type: 'bar'},
+  {label: 'Colored Bar', type: 'colored_bar'},
+  {label: 'Line', type: 'line'},
+  {label: 'Colored Line', type: 'colored_line'},
+  {label: 'Hollow Candle', type: 'hollow_candle'},
+  {label: 'Volume Candle', type: 'volume_candle'},
+  {label: 'Mountain', type: 'mountain'},
+  {label: 'Colored Mountain', type: 'colored_mountain'},
+  {label: 'Baseline Delta', type: 'baseline_delta'},
+  {label: 'Baseline Mountain', type: 'baseline_delta_mountain'},
+  {label: 'Wave', type: 'wave'},
+  {label: 'Scatterplot', type: 'scatterplot'}
+];
+
+const AGGREGATIONS = [
+  {label: 'No Aggregation', type: 'ohlc'},
+  {label: 'Heikin-Ashi', type: 'heikinashi'},
+  {label: 'Kagi', type: 'kagi'},
+  {label: 'Line Break', type: 'linebreak'},
+  {label: 'Point & Figure', type: 'pandf'},
+  {label: 'Range Bars', type: 'rangebars'},
+  {label: 'Renko', type: 'renko'}
+];
+
+// study library keys, the same choices as the advanced chart's Studies menu
+const STUDIES = [
+  {label: 'ADX/DMS', type: 'ADX'},
+  {label: 'Alligator', type: 'Alligator'},
+  {label: 'Awesome Oscillator', type: 'Awesome'},
+  {label: 'Bollinger Bands', type: 'Bollinger Bands'},
+  {label: 'Bollinger Bandwidth', type: 'Boll BW'},
+  {label: 'Commodity Channel Index', type: 'CCI'},
+  {label: 'Darvas Box', type: 'Darvas'},
+  {label: 'Elder Impulse System', type: 'Elder Impulse'},
+  {label: 'Fractal Chaos Bands', type: 'Fractal Chaos Bands'},
+  {label: 'Ichimoku Clouds', type: 'Ichimoku Clouds'},
+  {label: 'Keltner Channel', type: 'Keltner'},
+  {label: 'MACD', type: 'macd'},
+  {label: 'Momentum Indicator', type: 'Momentum'},
+  {label: 'Money Flow Index', type: 'M Flow'},
+  {label: 'Moving Average', type: 'ma'},
+  {label: 'Moving Average Envelope', type: 'MA Env'},
+  {label: 'On Balance Volume', type: 'On Bal Vol'},
+  {label: 'Parabolic SAR', type: 'PSAR'},
+  {label: 'Pivot Points', type: 'Pivot Points'},
+  {label: 'RSI', type: 'rsi'},
+  {label: 'Stochastics', type: 'stochastics'},
+  {label: 'Stochastic Momentum Index', type: 'Stch Mtm'},
+  {label: 'Volume', type: 'vchart'},
+  {label: 'Volume Underlay', type: 'vol undr'},
+  {label: 'Williams %R', type: 'Williams %R'}
+];
+
+const DRAWINGS = [
+  {label: 'None', type: ''},
+  null,
+  {label: 'Segment', type: 'segment'},
+  {label: 'Continuous', type: 'continuous'},
+  {label: 'Ray', type: 'ray'},
+  {label: 'Line', type: 'line'},
+  {label: 'Horizontal', type: 'horizontal'},
+  {label: 'Vertical', type: 'vertical'},
+  null,
+  {label: 'Rectangle', type: 'rectangle'},
+  {label: 'Ellipse', type: 'ellipse'},
+  {label: 'Measure', type: 'measure'},
+  {label: 'Channel', type: 'channel'},
+  {label: 'Doodle', type: 'freeform'},
+  {label: 'Fibonacci', type: 'fibonacci'},
+  {label: 'Gartley', type: 'gartley'},
+  {label: 'Pitchfork', type: 'pitchfork'},
+  null,
+  {label: 'Annotation', type: 'annotation'},
+  {label: 'Callout', type: 'callout'}
+];
+
+// {symbol, chartType, aggregationType, semiLog, crosshair, marketSessions, periodicity, interval, vectorType} by window id
+var states = {};
+
+// emits 'change' when the focused chart's state changes
+var events = new EventEmitter();
+
+/**
+ * Runs a command in a chart window, see STX.Desktop.chartCommands
+ * @param {BrowserWindow} win
+ * @param {String} command
+ * @param {*} [args]
+ */
+function send(win, command, args) {
+  if (win && states[win.id]) win.webContents.send('chart-command', command, args);
+}
+
+/**
+ * @param {BrowserWindow} win
+ * @return {Boolean} Whether the window shows a chart that takes chart commands
+ */
+function isChart(win) {
+  return !!(win && states[win.id]);
+}
+
+/**
+ * The last state a chart window reported
+ * @param {BrowserWindow} win
+ * @return {Object} {symbol, chartType, aggregationType, ...}, empty for windows that aren't charts
+ */
+function state(win) {
+  return (win && states[win.id]) || {};
+}
+
+// null entries are separators
+function items(list, fn) {
+  return list.map(function (entry) {
+    return entry ? fn(entry) : {type: 'separator'};
+  });
+}
+
+/**
+ * Builds the chart menus for the focused window. They are disabled when it isn't a chart.
+ * @return {Array} Menu templates for Menu.buildFromTemplate
+ */
+function menus() {
+  var win = BrowserWindow.getFocusedWindow();
+  var state = win ? states[win.id] : null;
+  var enabled = !!state;
+  state = state || {};
+  var sessions = state.marketSessions || {};
+
+  function command(label, name, args, extra) {
+    return Object.assign({
+      label: label,
+      enabled: enabled,
+      click: function (item, focused) {
+        send(focused, name, args);
+      }
+    }, extra);
+  }
+  function toggle(label, name, checked, extra) {
+    return Object.assign({
+      label: label,
+      type: 'checkbox',
+      checked: !!checked,
+      enabled: enabled,
+      click: function (item, focused) {
+        send(focused, name, item.checked);
+      }
+    }, extra);
+  }
+  function session(label, name) {
+    return {
+      label: label,
+      type: 'checkbox',
+      checked: !!sessions[name],
+      enabled: enabled,
+      click: function (item, focused) {
+        send(focused, 'marketSession', {session: name, on: item.checked});
+      }
+    };
+  }
+
+  return [
+    {
+      label: 'View',
+      submenu: [
+        toggle('Log Scale', 'semiLog', state.semiLog),
+        toggle('Crosshairs', 'crosshair', state.crosshair),
+        {type: 'separator'},
+        session('Pre-Market', 'pre'),
+        session('After Hours', 'post')
+      ]
+    },
+    {
+      label: 'Periodicity',
+      submenu: items(PERIODICITIES, function (p) {
+        return command(p.label, 'periodicity', {period: p.period, interval: p.interval}, {
+          type: 'radio',
+          checked: state.periodicity === p.period && state.interval === p.interval
+        });
+      })
+    },
+    {
+      label: 'Chart Type',
+      submenu: items(CHART_TYPES, function (t) {
+        return command(t.label, 'chartType', t.type, {type: 'radio', checked: state.chartType === t.type});
+      }).concat({type: 'separator'}, items(AGGREGATIONS, function (a) {
+        return command(a.label, 'aggregationType', a.type, {
+          type: 'radio',
+          checked: (state.aggregationType || 'ohlc') === a.type
+        });
+      }))
+    },
+    {
+      label: 'Studies',
+      submenu: items(STUDIES, function (s) {
+        return command(s.label, 'addStudy', s.type);
+      }).concat({type: 'separator'}, command('Remove All Studies', 'removeStudies'))
+    },
+    {
+      label: 'Drawing',
+      submenu: items(DRAWINGS, function (d) {
+        return command(d.label, 'vectorType', d.type, {type: 'radio', checked: (state.vectorType || '') === d.type});
+      }).concat(
+        {type: 'separator'},
+        command('Undo Drawing', 'undo'),
+        command('Clear Drawings', 'clearDrawings')
+      )
+    }
+  ];
+}
+
+function on(event, listener) {
+  events.on(event, listener);
+}
+
+ipcMain.on('chart-state', function (event, state) {
+  var win = BrowserWindow.fromWebContents(event.sender);
+  if (!win) return;
+  var id = win.id;
+  if (!states[id]) {
+    win.on('closed', function () {
+      delete states[id];
+    });
+  }
+  states[id] = state;
+  if (win.isFocused()) events.emit('change');
+});
+
+module.exports = {
+  send: send,
+  isChart: isChart,
+  state: state,
+  menus: menus,
+  on: on
+};
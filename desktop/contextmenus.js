@@ -0,0 +1,41 @@
+const {BrowserWindow, Menu, ipcMain} = require('electron');
+
+// Native context menus for pages (see preload.js). A page sends a menu template whose items carry
+// an id instead of a click function; the id of the chosen item comes back with the request id, or no
+// id once the menu is closed without a choice.
+
+// On some platforms a menu closes before the click on its chosen item comes in, so closing answers a little later
+const DISMISS_DELAY = 100;
+
+function toTemplate(items, reply) {
+  return items.map(function (item) {
+    var entry = Object.assign({}, item);
+    delete entry.id;
+    if (item.submenu) entry.submenu = toTemplate(item.submenu, reply);
+    else if (item.id !== undefined) {
+      entry.click = function () {
+        reply(item.id);
+      };
+    }
+    return entry;
+  });
+}
+
+ipcMain.on('context-menu', function (event, requestId, items) {
+  var sender = event.sender;
+  var win = BrowserWindow.fromWebContents(sender);
+  if (!win) return;
+  var answered = false;
+  function reply(id) {
+    if (answered) return;
+    answered = true;
+    if (!sender.isDestroyed()) sender.send('context-menu-click', requestId, id);
+  }
+  var menu = Menu.buildFromTemplate(toTemplate(items, reply));
+  menu.popup({
+    window: win,
+    callback: function () {
+      setTimeout(reply, DISMISS_DELAY);
+    }
+  });
+});
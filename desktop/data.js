@@ -0,0 +1,84 @@
+const {dialog, ipcMain} = require('electron');
+const windows = require('./windows');
+const settings = require('./settings');
+const FileFeed = require('./feeds/file');
+
+// What File > Open Data... offers, see feeds/file.js for the formats
+const FILTERS = [
+  {name: 'Quote data', extensions: ['csv', 'json', 'js']},
+  {name: 'All files', extensions: ['*']}
+];
+
+// File feeds by their options, so their parsed-file caches are shared by every window
+var feeds = {};
+
+// fs watchers started for renderers, by webContents id and then watch id
+var watchers = {};
+
+/**
+ * Asks for a data file and charts it in a new quickstart window
+ * @param {BrowserWindow} [parent] The window the dialog belongs to
+ */
+function openDataFile(parent) {
+  dialog.showOpenDialog(parent, {
+    title: 'Open Data',
+    properties: ['openFile', 'multiSelections'],
+    filters: FILTERS
+  }).then(function (result) {
+    if (result.canceled) return;
+    result.filePaths.forEach(function (file) {
+      windows.open('quickstart', {file: file});
+    });
+  });
+}
+
+/**
+ * Returns the file feed for a renderer's options ({directory, columns, pageSize}). The directory
+ * defaults to the data directory from the preferences.
+ * @param {Object} [options]
+ * @return {FileFeed}
+ */
+function getFeed(options) {
+  options = Object.assign({directory: settings.get().dataDirectory}, options);
+  var key = JSON.stringify(options);
+  if (!feeds[key]) feeds[key] = new FileFeed(options);
+  return feeds[key];
+}
+
+function unwatch(webContentsId, id) {
+  var watching = watchers[webContentsId];
+  if (!watching || !watching[id]) return;
+  watching[id]();
+  delete watching[id];
+}
+
+// STX.QuoteFeed.File in a renderer, params as for FileFeed.prototype.fetch plus the feed's options
+ipcMain.on('data-fetch', function (event, id, params) {
+  var webContents = event.sender;
+  getFeed(params.options).fetch(params, function (result) {
+    if (!webContents.isDestroyed()) webContents.send('data-fetch-result', id, result);
+  });
+});
+
+ipcMain.on('data-watch', function (event, id, params) {
+  var webContents = event.sender;
+  if (!watchers[webContents.id]) {
+    watchers[webContents.id] = {};
+    webContents.once('destroyed', function () {
+      for (var watchId in watchers[webContents.id]) watchers[webContents.id][watchId]();
+      delete watchers[webContents.id];
+    });
+  }
+  watchers[webContents.id][id] = getFeed(params.options).watch(params.target, function () {
+    if (!webContents.isDestroyed()) webContents.send('data-changed', id);
+  });
+});
+
+ipcMain.on('data-unwatch', function (event, id) {
+  unwatch(event.sender.id, id);
+});
+
+module.exports = {
+  openDataFile: openDataFile,
+  getFeed: getFeed
+};
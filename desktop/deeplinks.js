@@ -0,0 +1,125 @@
+const {app, ipcMain} = require('electron');
+const url = require('url');
+const windows = require('./windows');
+const links = require('./links');
+const store = require('./store');
+const settings = require('./settings');
+const diagnostics = require('./diagnostics');
+
+const PROTOCOL = 'stxdesk';
+
+// Chart settings a link carries, same names and formats as the launch flags (see STX.Desktop.launchOptions)
+const PARAMS = ['interval', 'period', 'span', 'studies', 'drawings'];
+
+// {id: {symbol, drawings}} for drawings shared through links. Ids only resolve on this machine.
+const DRAWINGS_KEY = 'sharedDrawings';
+const MAX_DRAWINGS = 100;
+
+// links that arrive before the app is ready (open-url on macOS)
+var pending = [];
+
+/**
+ * Parses a link such as stxdesk://chart/IBM?interval=day&studies=rsi,macd&link=red
+ * @param {String} link
+ * @return {Object} {symbol, template, link, params}, or null if it isn't a chart link
+ */
+function parse(link) {
+  var parsed = url.parse(link, true);
+  if (parsed.protocol !== PROTOCOL + ':' || parsed.host !== 'chart') return null;
+  var symbol = decodeURIComponent((parsed.pathname || '').replace(/^\/+|\/+$/g, ''));
+  if (!symbol) return null;
+  var params = {};
+  PARAMS.forEach(function (name) {
+    if (parsed.query[name]) params[name] = parsed.query[name];
+  });
+  return {
+    symbol: symbol,
+    template: parsed.query.template || null,
+    link: parsed.query.link || null,
+    params: params
+  };
+}
+
+/**
+ * Returns the first chart link in a command line. Windows and Linux hand links to the app as an argument.
+ * @param {Array} argv
+ * @return {String} The link or null
+ */
+function find(argv) {
+  return argv.filter(function (arg) {
+    return arg.indexOf(PROTOCOL + '://') === 0;
+  })[0] || null;
+}
+
+/**
+ * Opens a chart link. A link with a channel (link=red) goes to the chart window on that channel,
+ * which loads the symbol and settings in place. Otherwise, or when no chart window is on the
+ * channel, the link opens a new window.
+ * @param {String} link
+ * @return {BrowserWindow} The window showing the link, or null if the link isn't valid
+ */
+function open(link) {
+  var options = parse(link);
+  if (!options) {
+    diagnostics.add({level: 'warn', subsystem: 'app', message: 'Not a chart link: ' + link});
+    return null;
+  }
+  var target = links.members(options.link).filter(function (instance) {
+    return windows.getTemplate(instance.template).deepLink;
+  })[0];
+  if (target) {
+    target.win.webContents.send('deep-link', Object.assign({symbol: options.symbol}, options.params));
+    if (target.win.isMinimized()) target.win.restore();
+    target.win.focus();
+    return target.win;
+  }
+  // a new window uses the link's template, or the default template from the preferences
+  var name = options.template;
+  if (!name || !windows.getTemplate(name) || !windows.getTemplate(name).deepLink) name = settings.get().defaultTemplate;
+  var params = Object.assign({symbol: options.symbol}, options.params);
+  if (links.getChannel(options.link)) params.link = options.link;
+  return windows.open(name, params);
+}
+
+/**
+ * Makes the app the handler for stxdesk:// links. Call once the app is ready.
+ */
+function register() {
+  app.setAsDefaultProtocolClient(PROTOCOL);
+  pending.forEach(open);
+  pending = [];
+}
+
+app.on('open-url', function (event, link) {
+  event.preventDefault();
+  if (app.isReady()) open(link);
+  else pending.push(link);
+});
+
+// keeps a copy of a chart's drawings so a link can carry them by id
+ipcMain.on('share-drawings', function (event, symbol, drawings) {
+  var shared = store.shared().get(DRAWINGS_KEY) || {};
+  var id = Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  shared[id] = {symbol: symbol, drawings: drawings, created: Date.now()};
+  var ids = Object.keys(shared).sort(function (a, b) {
+    return shared[b].created - shared[a].created;
+  });
+  ids.slice(MAX_DRAWINGS).forEach(function (old) {
+    delete shared[old];
+  });
+  store.shared().set(DRAWINGS_KEY, shared);
+  event.returnValue = id;
+});
+
+ipcMain.on('shared-drawings', function (event, id) {
+  var shared = store.shared().get(DRAWINGS_KEY) || {};
+  event.returnValue = shared[id] || null;
+});
+
+module.exports = {
+  PROTOCOL: PROTOCOL,
+  parse: parse,
+  find: find,
+  open: open,
+  register: register
+};
@@ -0,0 +1,140 @@
+const {app, BrowserWindow, dialog, ipcMain} = require('electron');
+const fs = require('fs');
+const path = require('path');
+const windows = require('./windows');
+
+// Log events from every window, for the Diagnostics window (diagnostics.html). Pages send structured
+// events with STX.Desktop.log (quote feed errors, alerts), and everything a page writes to its console
+// is picked up here, including messages from the kernel such as its version mismatch warning.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Subsystems the Diagnostics window filters on. Events that don't name one are sorted by their text.
+const SUBSYSTEMS = ['feed', 'study', 'drawing', 'trade', 'app', 'console'];
+
+const GUESSES = [
+  {subsystem: 'feed', pattern: /quote|feed|fetch|symbol/i},
+  {subsystem: 'study', pattern: /stud(y|ies)/i},
+  {subsystem: 'drawing', pattern: /drawing|vector/i},
+  {subsystem: 'trade', pattern: /trade|order|position|account|tfc/i}
+];
+
+// How many events are kept, oldest dropped first
+const MAX_ENTRIES = 5000;
+
+var entries = [];
+var nextId = 0;
+
+function guessSubsystem(message) {
+  for (var i = 0; i < GUESSES.length; i++) {
+    if (GUESSES[i].pattern.test(message)) return GUESSES[i].subsystem;
+  }
+  return 'console';
+}
+
+// "Advanced Chart IBM", or the page title for windows outside the registry
+function windowLabel(win) {
+  var instance = windows.get(win.id);
+  if (!instance) return win.getTitle();
+  var template = windows.getTemplate(instance.template);
+  return template.label + (instance.params.symbol ? ' ' + instance.params.symbol : '');
+}
+
+/**
+ * Adds an event and shows it in the open Diagnostics windows
+ * @param {Object} entry {level, subsystem, message, details}. level defaults to info, subsystem is guessed from the message.
+ * @param {BrowserWindow} [win] The window the event comes from
+ * @return {Object} The event as kept: {id, time, level, subsystem, windowId, window, message, details}
+ */
+function add(entry, win) {
+  var message = String(entry.message);
+  var kept = {
+    id: ++nextId,
+    time: Date.now(),
+    level: LEVELS.indexOf(entry.level) > -1 ? entry.level : 'info',
+    subsystem: entry.subsystem || guessSubsystem(message),
+    windowId: win ? win.id : null,
+    window: win ? windowLabel(win) : 'Main process',
+    message: message,
+    details: entry.details || null
+  };
+  entries.push(kept);
+  if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+  windows.find(function (instance) {
+    return instance.template === 'diagnostics';
+  }).forEach(function (instance) {
+    instance.win.webContents.send('diagnostics-entry', kept);
+  });
+  return kept;
+}
+
+/**
+ * Writes events to a file for a bug report, with the app and platform versions
+ * @param {String} file
+ * @param {Array} list The events, as returned by add
+ * @param {Function} [cb] Called with an error, or null once written
+ */
+function write(file, list, cb) {
+  var report = {
+    app: {name: app.getName(), version: app.getVersion(), versions: process.versions, platform: process.platform},
+    exported: new Date().toISOString(),
+    entries: list.map(function (entry) {
+      return Object.assign({}, entry, {time: new Date(entry.time).toISOString()});
+    })
+  };
+  fs.writeFile(file, JSON.stringify(report, null, 2), function (err) {
+    if (cb) cb(err || null);
+  });
+}
+
+// Electron's console-message levels, 0 to 3
+const CONSOLE_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+app.on('browser-window-created', function (event, win) {
+  win.webContents.on('console-message', function (event, level, message, line, sourceId) {
+    var instance = windows.get(win.id);
+    if (instance && instance.template === 'diagnostics') return;
+    add({
+      level: CONSOLE_LEVELS[level] || 'info',
+      message: message,
+      details: sourceId ? {source: path.basename(sourceId) + ':' + line} : null
+    }, win);
+  });
+});
+
+ipcMain.on('diagnostics-log', function (event, entry) {
+  add(entry, BrowserWindow.fromWebContents(event.sender));
+});
+
+ipcMain.on('diagnostics-entries', function (event) {
+  event.returnValue = {entries: entries, levels: LEVELS, subsystems: SUBSYSTEMS};
+});
+
+ipcMain.on('diagnostics-clear', function () {
+  entries = [];
+});
+
+// ids of the events the Diagnostics window shows after filtering
+ipcMain.on('diagnostics-export', function (event, ids) {
+  var parent = BrowserWindow.fromWebContents(event.sender);
+  var list = entries.filter(function (entry) {
+    return ids.indexOf(entry.id) > -1;
+  });
+  dialog.showSaveDialog(parent, {
+    title: 'Export Diagnostics',
+    defaultPath: path.join(app.getPath('documents'), 'diagnostics-' + new Date().toISOString().substring(0, 10) + '.json'),
+    filters: [{name: 'JSON', extensions: ['json']}]
+  }).then(function (result) {
+    if (result.canceled || !result.filePath) return;
+    write(result.filePath, list, function (err) {
+      if (err) dialog.showErrorBox('Export Diagnostics', 'Cannot write ' + result.filePath + '\n' + err.message);
+    });
+  });
+});
+
+module.exports = {
+  LEVELS: LEVELS,
+  SUBSYSTEMS: SUBSYSTEMS,
+  add: add,
+  write: write
+};
@@ -0,0 +1,18 @@
+const {BrowserWindow, dialog, ipcMain} = require('electron');
+
+// File dialogs for pages, which have no access to Electron themselves (see preload.js).
+// options are passed to dialog.showOpenDialogSync, the window the request came from is the parent.
+
+ipcMain.on('dialog-open-file', function (event, options) {
+  var files = dialog.showOpenDialogSync(BrowserWindow.fromWebContents(event.sender), Object.assign({
+    properties: ['openFile']
+  }, options));
+  event.returnValue = files || null;
+});
+
+ipcMain.on('dialog-open-directory', function (event, options) {
+  var files = dialog.showOpenDialogSync(BrowserWindow.fromWebContents(event.sender), Object.assign({}, options, {
+    properties: ['openDirectory', 'createDirectory']
+  }));
+  event.returnValue = files ? files[0] : null;
+});
@@ -0,0 +1,137 @@
+const {app, BrowserWindow, clipboard, dialog, ipcMain} = require('electron');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// File > Export CSV and File > Copy Data. Pages that can export (grids, charts) provide a table with
+// desktop.exporting.provide, already formatted for the user's locale: {name, columns, rows}. It is
+// written here as CSV, or copied tab separated so that it pastes into a spreadsheet.
+
+// ids of windows whose page provides a table
+var providers = {};
+
+// ids of windows whose closing is watched, which outlasts their pages' providing through reloads
+var seen = {};
+
+// emits 'change' when a window starts or stops providing a table
+var events = new EventEmitter();
+
+// {action, windowId, timer} by request id, while the page builds its table
+var requests = {};
+var nextId = 0;
+
+// how long a page has to send its table before the request is dropped
+const REQUEST_TIMEOUT = 30000;
+
+// quotes a field that holds the separator, a quote or a line break, as "1,234.50"
+function field(value, separator) {
+  var text = value === null || value === undefined ? '' : String(value);
+  if (text.indexOf(separator) === -1 && !/["\r\n]/.test(text)) return text;
+  return '"' + text.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Writes a table as delimited text
+ * @param {Object} table {columns, rows}: column headings and arrays of row values
+ * @param {String} separator ',' for CSV, '\t' for the clipboard
+ * @return {String}
+ */
+function delimited(table, separator) {
+  return [table.columns].concat(table.rows).map(function (row) {
+    return row.map(function (value) {
+      return field(value, separator);
+    }).join(separator);
+  }).join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {BrowserWindow} win
+ * @return {Boolean} Whether the window's page can export a table
+ */
+function canExport(win) {
+  return !!(win && providers[win.id]);
+}
+
+/**
+ * Asks a window for its table, then saves it as CSV or copies it
+ * @param {BrowserWindow} win
+ * @param {String} action 'csv' or 'copy'
+ * @param {String} [range] For charts, 'visible' or 'all'
+ */
+function run(win, action, range) {
+  if (!canExport(win)) return;
+  var id = ++nextId;
+  requests[id] = {
+    action: action,
+    windowId: win.id,
+    timer: setTimeout(function () {
+      drop(id);
+    }, REQUEST_TIMEOUT)
+  };
+  win.webContents.send('export-collect', id, {range: range || 'visible'});
+}
+
+// returns and forgets a request, once answered, timed out or its window closed
+function drop(id) {
+  var request = requests[id];
+  if (!request) return null;
+  clearTimeout(request.timer);
+  delete requests[id];
+  return request;
+}
+
+function save(win, table) {
+  dialog.showSaveDialog(win, {
+    title: 'Export CSV',
+    defaultPath: path.join(app.getPath('documents'), (table.name || 'Export').replace(/[\\/:*?"<>|]/g, '_') + '.csv'),
+    filters: [{name: 'CSV', extensions: ['csv']}]
+  }).then(function (result) {
+    if (result.canceled || !result.filePath) return;
+    var file = result.filePath;
+    // the byte order mark tells spreadsheets the file is UTF-8
+    fs.writeFile(file, '\ufeff' + delimited(table, ','), function (err) {
+      if (err) dialog.showErrorBox('Export CSV', 'Cannot write ' + file + '\n' + err.message);
+    });
+  });
+}
+
+function on(event, listener) {
+  events.on(event, listener);
+}
+
+ipcMain.on('export-provide', function (event) {
+  var win = BrowserWindow.fromWebContents(event.sender);
+  if (!win || providers[win.id]) return;
+  var id = win.id;
+  providers[id] = true;
+  events.emit('change');
+  // a page that reloads provides again
+  win.webContents.once('did-navigate', function () {
+    delete providers[id];
+    events.emit('change');
+  });
+  if (seen[id]) return;
+  seen[id] = true;
+  win.on('closed', function () {
+    delete providers[id];
+    delete seen[id];
+    for (var requestId in requests) {
+      if (requests[requestId].windowId === id) drop(requestId);
+    }
+  });
+});
+
+ipcMain.on('export-table', function (event, id, table) {
+  var request = drop(id);
+  var win = BrowserWindow.fromWebContents(event.sender);
+  if (!request || !win || !table) return;
+  if (request.action === 'copy') clipboard.writeText(delimited(table, '\t'));
+  else save(win, table);
+});
+
+module.exports = {
+  delimited: delimited,
+  canExport: canExport,
+  run: run,
+  on: on
+};
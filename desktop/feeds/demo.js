@@ -0,0 +1,167 @@
+const https = require('https');
+const path = require('path');
+const FileFeed = require('./file');
+const diagnostics = require('../diagnostics');
+
+// Daily history shipped with the app, charted when the demo quote server can't be reached
+const SAMPLE_FILE = path.join(__dirname, '..', '..', 'STX_SAMPLE_DAILY.js');
+var sample = new FileFeed({pageSize: Infinity});
+
+/**
+ * Main-process counterpart of STX.QuoteFeed.Demo. Daily history comes from the ChartIQ demo
+ * quote server, or from STX_SAMPLE_DAILY.js when offline. Intraday bars are a random walk.
+ */
+function Demo() {
+  // last generated close by symbol (see closeKey), so updates continue the random walk
+  this.closes = {};
+}
+
+// symbols are looked up without regard to case, as the quote server does
+function closeKey(symbol) {
+  return symbol.toUpperCase();
+}
+
+function isIntraday(interval) {
+  return interval === 'minute' || interval === 'second' || interval === 'millisecond';
+}
+
+function barLength(params) {
+  var divisor = 60 * 1000;
+  if (params.interval === 'second') divisor = 1000;
+  if (params.interval === 'millisecond') divisor = 1;
+  return params.period * divisor;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+Demo.prototype.randomQuote = function (seed) {
+  var open = seed - (Math.random() - 0.5) * 2;
+  var close = seed - (Math.random() - 0.5) * 2;
+  var quote = {
+    Open: round(open),
+    Close: round(close),
+    High: round(Math.max(seed - (Math.random() - 0.5) * 2, open, close)),
+    Low: round(Math.min(seed - (Math.random() - 0.5) * 2, open, close))
+  };
+  // higher volumes for red candles
+  if (quote.Close < quote.Open) quote.Volume = 1000000 + Math.round(Math.random() * 1500000);
+  else quote.Volume = 1000000 + Math.round(Math.random() * 300000);
+  return quote;
+};
+
+/**
+ * Same contract as STX.QuoteFeed.prototype.fetch, with dates as epoch milliseconds. Intraday quotes are
+ * returned with DT in epoch milliseconds.
+ * @param {Object} params {symbol, period, interval, startDate, endDate, ticks}
+ * @param {Function} cb Called with {quotes, moreAvailable} or {error}
+ */
+Demo.prototype.fetch = function (params, cb) {
+  if (!isIntraday(params.interval)) {
+    if (params.startDate && !params.endDate) {
+      cb({error: 'Demo quotes do not support updates for daily charts'});
+    } else if (params.endDate && !params.startDate) {
+      cb({error: 'Demo quotes do not support loadMore for daily charts'});
+    } else {
+      this.daily(params, cb);
+    }
+    return;
+  }
+  if (params.startDate && !params.endDate) {
+    this.update(params, cb);
+  } else {
+    this.intraday(params, cb);
+  }
+};
+
+Demo.prototype.intraday = function (params, cb) {
+  var length = barLength(params);
+  var end = params.endDate || Date.now();
+  end = end - end % length;
+  var count = Math.min((params.ticks || 300) * 3, 2000);
+  if (params.startDate) count = Math.max(1, Math.ceil((end - params.startDate) / length) + 1);
+
+  var seed = this.closes[closeKey(params.symbol)] || 155.43;
+  var quotes = [];
+  for (var i = 0; i < count; i++) {
+    var quote = this.randomQuote(seed);
+    quote.DT = end - i * length;
+    seed = quote.Open;
+    quotes.unshift(quote);
+  }
+  if (!params.endDate) this.closes[closeKey(params.symbol)] = quotes[quotes.length - 1].Close;
+  cb({quotes: quotes, moreAvailable: true, attribution: {source: 'demo', exchange: 'RANDOM'}});
+};
+
+Demo.prototype.update = function (params, cb) {
+  var length = barLength(params);
+  var now = Date.now();
+  now = now - now % length;
+  var close = this.closes[closeKey(params.symbol)] || 155.43;
+  var quote = {DT: now, Close: round(close - (Math.random() - 0.5) * 0.8)};
+  quote.Open = close;
+  quote.High = Math.max(quote.Open, quote.Close);
+  quote.Low = Math.min(quote.Open, quote.Close);
+  quote.Volume = Math.round(Math.random() * 1000);
+  // a spread of one to five cents around the last trade
+  var spread = Math.ceil(Math.random() * 5) / 100;
+  quote.Bid = round(quote.Close - spread / 2);
+  quote.Ask = round(quote.Bid + spread);
+  this.closes[closeKey(params.symbol)] = quote.Close;
+  cb({quotes: [quote], moreAvailable: false, attribution: {source: 'demo', exchange: 'RANDOM'}});
+};
+
+Demo.prototype.daily = function (params, cb) {
+  var self = this;
+  var symbol = params.symbol.toUpperCase();
+  https.get('https://demoquotes.chartiq.com/' + encodeURIComponent(symbol), function (res) {
+    var response = '';
+    res.setEncoding('utf8');
+    res.on('data', function (chunk) {
+      response += chunk;
+    });
+    res.on('end', function () {
+      if (res.statusCode !== 200) {
+        cb({error: res.statusCode});
+        return;
+      }
+      // the response is a javascript assignment, "name=[[date,o,h,l,c,v,adj],...];"
+      var rows = [];
+      try {
+        var value = response.substring(response.indexOf('=') + 1, response.length - 1);
+        rows = JSON.parse(value.replace(/,0+/g, ',0').replace(/,[.]/g, ',0.').replace(/;/g, ''));
+      } catch (e) {
+        cb({error: 'Cannot parse quotes for ' + symbol});
+        return;
+      }
+      var quotes = rows.map(function (row) {
+        return {
+          Date: row[0], // parsed by the chart in its own timezone
+          Open: row[1],
+          High: row[2],
+          Low: row[3],
+          Close: row[4],
+          Volume: row[5],
+          Adj_Close: row[6]
+        };
+      });
+      // intraday bars and updates carry on from the last close
+      if (!self.closes[closeKey(symbol)] && quotes.length) self.closes[closeKey(symbol)] = quotes[quotes.length - 1].Close;
+      cb({quotes: quotes, moreAvailable: false, attribution: {source: 'demo', exchange: 'RANDOM'}});
+    });
+  }).on('error', function (e) {
+    diagnostics.add({
+      level: 'warn',
+      subsystem: 'feed',
+      message: 'Demo quote server unavailable, charting sample data for ' + symbol,
+      details: {error: e.message}
+    });
+    sample.fetch({symbol: symbol, file: SAMPLE_FILE}, function (result) {
+      if (!result.error) result.attribution = {source: 'demo', exchange: 'SAMPLE'};
+      cb(result);
+    });
+  });
+};
+
+module.exports = Demo;
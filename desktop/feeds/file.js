@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+
+// File extensions searched, in order, when a symbol is looked up in the data directory
+const EXTENSIONS = ['.csv', '.json', '.js'];
+
+// Quote fields and the CSV headers that are recognized for them when no columns are configured
+const FIELDS = {
+  Date: ['date', 'datetime', 'time', 'timestamp', 'dt'],
+  Open: ['open', 'o'],
+  High: ['high', 'h'],
+  Low: ['low', 'l'],
+  Close: ['close', 'c', 'last', 'price'],
+  Volume: ['volume', 'vol', 'v'],
+  Adj_Close: ['adj_close', 'adj close', 'adjclose', 'adjusted close']
+};
+
+// Order of the values in array rows, as in the demo quote server ([date,o,h,l,c,v,adj])
+const ARRAY_ORDER = ['Date', 'Open', 'High', 'Low', 'Close', 'Volume', 'Adj_Close'];
+
+/**
+ * Parses a date from a data file into epoch milliseconds. Dates without a time or zone are
+ * taken as local time, the way the chart reads "yyyy-mm-dd" strings.
+ * @param {String|Number} value
+ * @return {Number} Milliseconds, or NaN
+ */
+function parseDate(value) {
+  if (typeof value === 'number') return value < 100000000000 ? value * 1000 : value;
+  value = String(value).trim();
+  if (/^\d+$/.test(value) && value.length !== 8) return parseDate(Number(value));
+  var m = /^(\d{4})-?(\d{2})-?(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+  if (m) return new Date(+m[1], m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)).getTime();
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+  if (m) return new Date(+m[3], m[1] - 1, +m[2], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)).getTime();
+  return Date.parse(value);
+}
+
+function splitLine(line, delimiter) {
+  var values = [];
+  var current = '';
+  var quoted = false;
+  for (var i = 0; i < line.length; i++) {
+    var ch = line.charAt(i);
+    if (ch === '"') {
+      if (quoted && line.charAt(i + 1) === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (ch === delimiter && !quoted) {
+      values.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  values.push(current);
+  return values;
+}
+
+// maps each quote field to a column index, from configured columns or from recognized headers
+function columnIndexes(header, columns) {
+  var lower = header.map(function (h) {
+    return h.trim().toLowerCase();
+  });
+  var indexes = {};
+  for (var field in FIELDS) {
+    var column = columns && columns.hasOwnProperty(field) ? columns[field] : null;
+    if (typeof column === 'number') {
+      indexes[field] = column;
+    } else if (column) {
+      indexes[field] = lower.indexOf(String(column).toLowerCase());
+    } else {
+      indexes[field] = -1;
+      for (var i = 0; i < FIELDS[field].length && indexes[field] === -1; i++) {
+        indexes[field] = lower.indexOf(FIELDS[field][i]);
+      }
+    }
+  }
+  return indexes;
+}
+
+function toQuote(get) {
+  var quote = {DT: parseDate(get('Date'))};
+  if (isNaN(quote.DT)) return null;
+  for (var field in FIELDS) {
+    if (field === 'Date') continue;
+    var value = get(field);
+    if (value === undefined || value === null || value === '') continue;
+    value = parseFloat(value);
+    if (!isNaN(value)) quote[field] = value;
+  }
+  if (quote.Close === undefined) return null;
+  return quote;
+}
+
+/**
+ * Parses CSV text. The first line is read as a header unless it looks like data, in which case columns
+ * default to the [date,o,h,l,c,v,adj] order.
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {Object} [options.columns] Header name or column index by field, e.g. {Date: "timestamp", Close: 4}
+ * @param {String} [options.delimiter] Defaults to "," or ";" or tab, whichever the first line contains
+ * @return {Array} Quotes
+ */
+function parseCSV(text, options) {
+  options = options || {};
+  var lines = text.split(/\r?\n/).filter(function (line) {
+    return line.trim() !== '';
+  });
+  if (!lines.length) return [];
+  var delimiter = options.delimiter;
+  if (!delimiter) delimiter = lines[0].indexOf(',') > -1 ? ',' : (lines[0].indexOf(';') > -1 ? ';' : '\t');
+
+  var first = splitLine(lines[0], delimiter);
+  var hasHeader = isNaN(parseDate(first[0])) || isNaN(parseFloat(first[first.length - 1]));
+  var indexes;
+  if (hasHeader) {
+    indexes = columnIndexes(first, options.columns);
+    lines.shift();
+  } else {
+    indexes = columnIndexes([], options.columns);
+    ARRAY_ORDER.forEach(function (field, i) {
+      if (indexes[field] === -1) indexes[field] = i;
+    });
+  }
+
+  var quotes = [];
+  lines.forEach(function (line) {
+    var values = splitLine(line, delimiter);
+    var quote = toQuote(function (field) {
+      return indexes[field] > -1 ? values[indexes[field]] : undefined;
+    });
+    if (quote) quotes.push(quote);
+  });
+  return quotes;
+}
+
+/**
+ * Parses a JSON array of quote objects ({Date,Open,High,Low,Close,Volume,Adj_Close}) or of
+ * [date,o,h,l,c,v,adj] arrays. A leading javascript assignment, as in STX_SAMPLE_DAILY.js, is skipped.
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {Object} [options.columns] Property name or array index by field
+ * @return {Array} Quotes
+ */
+function parseJSON(text, options) {
+  options = options || {};
+  var start = text.indexOf('[');
+  var end = text.lastIndexOf(']');
+  if (start === -1 || end === -1) return [];
+  var rows = JSON.parse(text.substring(start, end + 1));
+  var columns = options.columns || {};
+  var quotes = [];
+  rows.forEach(function (row) {
+    var quote = toQuote(function (field) {
+      if (Array.isArray(row)) return row[columns.hasOwnProperty(field) ? columns[field] : ARRAY_ORDER.indexOf(field)];
+      if (columns.hasOwnProperty(field)) return row[columns[field]];
+      if (field === 'Date' && row.Date === undefined) return row.DT;
+      return row[field];
+    });
+    if (quote) quotes.push(quote);
+  });
+  return quotes;
+}
+
+function parse(file, text, options) {
+  var quotes = path.extname(file).toLowerCase() === '.csv' ? parseCSV(text, options) : parseJSON(text, options);
+  return quotes.sort(function (a, b) {
+    return a.DT - b.DT;
+  });
+}
+
+/**
+ * Quote source for OHLCV files. Same fetch contract as feeds/demo.js, so it can serve the main-process
+ * quote hub as well as STX.QuoteFeed.File in a renderer.
+ * @param {Object} [options]
+ * @param {String} [options.directory] Where symbols are looked up, as SYMBOL.csv, SYMBOL.json or SYMBOL.js
+ * @param {Object} [options.columns] CSV/JSON column mapping, see parseCSV
+ * @param {Number} [options.pageSize] Minimum number of bars returned per request. Defaults to 1000.
+ */
+function FileFeed(options) {
+  this.options = options || {};
+  this.pageSize = this.options.pageSize || 1000;
+  this.cache = {};
+}
+
+/**
+ * Finds the file for a symbol. Absolute paths are used as they are.
+ * @param {String} symbol
+ * @return {String} The path, or null if there is no such file
+ */
+FileFeed.prototype.resolve = function (symbol) {
+  if (path.isAbsolute(symbol)) return fs.existsSync(symbol) ? symbol : null;
+  if (!this.options.directory) return null;
+  var candidates = [symbol, symbol.toUpperCase(), symbol.toLowerCase()];
+  for (var i = 0; i < candidates.length; i++) {
+    for (var j = 0; j < EXTENSIONS.length; j++) {
+      var file = path.join(this.options.directory, candidates[i] + EXTENSIONS[j]);
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads and parses a file, reusing the previous result while the file is unchanged
+ * @param {String} file
+ * @param {Function} cb Called with (err, quotes)
+ */
+FileFeed.prototype.load = function (file, cb) {
+  var self = this;
+  fs.stat(file, function (err, stat) {
+    if (err) return cb(err);
+    var cached = self.cache[file];
+    if (cached && cached.mtime === stat.mtime.getTime()) return cb(null, cached.quotes);
+    fs.readFile(file, 'utf8', function (err, text) {
+      if (err) return cb(err);
+      var quotes;
+      try {
+        quotes = parse(file, text, self.options);
+      } catch (e) {
+        return cb(e);
+      }
+      self.cache[file] = {mtime: stat.mtime.getTime(), quotes: quotes};
+      cb(null, quotes);
+    });
+  });
+};
+
+/**
+ * Same contract as STX.QuoteFeed.prototype.fetch, with dates as epoch milliseconds.
+ * params.file, when present, is read instead of looking the symbol up.
+ * @param {Object} params {symbol, file, startDate, endDate, ticks}
+ * @param {Function} cb Called with {quotes, moreAvailable} or {error}
+ */
+FileFeed.prototype.fetch = function (params, cb) {
+  var file = params.file || this.resolve(params.symbol);
+  if (!file) {
+    cb({error: 'No data file for ' + params.symbol});
+    return;
+  }
+  var count = Math.max((params.ticks || 0) * 3, this.pageSize);
+  this.load(file, function (err, quotes) {
+    if (err) {
+      cb({error: err.message});
+      return;
+    }
+    var to = quotes.length;
+    if (params.endDate) {
+      // loadMore wants the bars older than endDate, a date range includes it
+      var inclusive = !!params.startDate;
+      while (to > 0 && (inclusive ? quotes[to - 1].DT > params.endDate : quotes[to - 1].DT >= params.endDate)) to--;
+    }
+    var from = 0;
+    if (params.startDate) {
+      while (from < to && quotes[from].DT < params.startDate) from++;
+    } else {
+      from = Math.max(0, to - count);
+    }
+    var page = [];
+    for (var i = from; i < to; i++) page.push(Object.assign({}, quotes[i]));
+    cb({quotes: page, moreAvailable: !params.startDate && from > 0, attribution: {source: 'file', exchange: path.basename(file)}});
+  });
+};
+
+/**
+ * Lists the symbols in the data directory, one per data file
+ * @param {Function} cb Called with [{symbol, name, exchange}]
+ */
+FileFeed.prototype.symbols = function (cb) {
+  var directory = this.options.directory;
+  if (!directory) {
+    cb([]);
+    return;
+  }
+  fs.readdir(directory, function (err, files) {
+    if (err) {
+      cb([]);
+      return;
+    }
+    cb(files.filter(function (file) {
+      return EXTENSIONS.indexOf(path.extname(file).toLowerCase()) > -1;
+    }).map(function (file) {
+      return {symbol: path.basename(file, path.extname(file)).toUpperCase(), name: file, exchange: 'File'};
+    }));
+  });
+};
+
+/**
+ * Calls back when the file behind a symbol changes
+ * @param {String} symbol Symbol or absolute path
+ * @param {Function} cb Called with no arguments
+ * @return {Function} Stops watching
+ */
+FileFeed.prototype.watch = function (symbol, cb) {
+  var file = this.resolve(symbol);
+  if (!file) return function () {};
+  var self = this;
+  var timeout = null;
+  var watcher = fs.watch(file, function () {
+    // editors often write a file in several steps
+    clearTimeout(timeout);
+    timeout = setTimeout(function () {
+      delete self.cache[file];
+      cb();
+    }, 250);
+  });
+  return function () {
+    clearTimeout(timeout);
+    watcher.close();
+  };
+};
+
+module.exports = FileFeed;
+module.exports.parseCSV = parseCSV;
+module.exports.parseJSON = parseJSON;
+module.exports.parseDate = parseDate;
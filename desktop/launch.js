@@ -0,0 +1,107 @@
+const {BrowserWindow, ipcMain} = require('electron');
+const fs = require('fs');
+const path = require('path');
+const windows = require('./windows');
+const session = require('./session');
+const deeplinks = require('./deeplinks');
+const settings = require('./settings');
+const diagnostics = require('./diagnostics');
+
+// Flags passed through to the page as query string parameters, see STX.Desktop.launchOptions
+const PARAMS = ['symbol', 'interval', 'period', 'span', 'studies', 'drawings', 'theme', 'side_panel'];
+
+/**
+ * Reads the launch flags from a command line. Accepts "--name value" and "--name=value".
+ * Anything else (the app path, Chromium switches without a value) is ignored.
+ * @param {Array} argv
+ * @return {Object} {template, layout, params}
+ */
+function parse(argv) {
+  var flags = {};
+  for (var i = 0; i < argv.length; i++) {
+    var m = /^--([a-z_]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    if (m[2] !== undefined) {
+      flags[m[1]] = m[2];
+    } else if (i + 1 < argv.length && argv[i + 1].indexOf('--') !== 0) {
+      flags[m[1]] = argv[++i];
+    }
+  }
+  var params = {};
+  PARAMS.forEach(function (name) {
+    if (flags[name]) params[name] = flags[name];
+  });
+  return {template: flags.template || null, layout: flags.layout || null, params: params};
+}
+
+function readLayout(file, cwd) {
+  file = path.resolve(cwd || process.cwd(), file);
+  try {
+    var layout = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // accept a saved {id, layout, symbol} item as well as a bare exportLayout()
+    return layout.layout || layout;
+  } catch (e) {
+    diagnostics.add({level: 'warn', subsystem: 'app', message: 'Cannot read layout ' + file, details: {error: e.message}});
+    return null;
+  }
+}
+
+/**
+ * Opens the window a command line asks for. The layout file, if any, is stored as the new
+ * window's saved layout, so the page picks it up through the usual session restore.
+ * A stxdesk:// link on the command line is opened instead, see deeplinks.js.
+ * @param {Array} argv
+ * @param {String} [cwd] Directory relative layout paths are resolved against
+ * @return {BrowserWindow} The window, or null if the command line didn't ask for one
+ */
+function apply(argv, cwd) {
+  var link = deeplinks.find(argv);
+  if (link) return deeplinks.open(link);
+  var options = parse(argv);
+  if (!options.template && !Object.keys(options.params).length && !options.layout) return null;
+
+  // without a template the default one from the preferences opens
+  var defaultTemplate = settings.get().defaultTemplate;
+  var name = options.template || defaultTemplate;
+  if (!windows.getTemplate(name)) {
+    diagnostics.add({level: 'warn', subsystem: 'app', message: 'Unknown window template: ' + name + ', opening ' + defaultTemplate});
+    name = defaultTemplate;
+  }
+  var key = name + '-' + Date.now().toString(36) + '-launch';
+  if (options.layout) {
+    var layout = readLayout(options.layout, cwd);
+    if (layout) session.saveLayout(key, layout, options.params.symbol || null);
+  }
+  return windows.open(name, options.params, {key: key});
+}
+
+/**
+ * Handles a second launch of the app: its command line is applied here and the second
+ * process quits. Without launch flags the app is just brought to the front.
+ * @param {Array} argv
+ * @param {String} cwd
+ */
+function secondInstance(argv, cwd) {
+  var win = apply(argv, cwd) || BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+  if (!win) return;
+  if (win.isMinimized()) win.restore();
+  win.focus();
+}
+
+// once a page has applied its launch settings they live in its saved layout, and a restored
+// window shouldn't apply them again over later changes
+ipcMain.on('launch-applied', function (event) {
+  var instance = windows.fromWebContents(event.sender);
+  if (!instance) return;
+  var params = {};
+  PARAMS.forEach(function (name) {
+    if (name !== 'symbol' && instance.params.hasOwnProperty(name)) params[name] = null;
+  });
+  if (Object.keys(params).length) windows.update(instance, params);
+});
+
+module.exports = {
+  parse: parse,
+  apply: apply,
+  secondInstance: secondInstance
+};
@@ -0,0 +1,139 @@
+const {ipcMain} = require('electron');
+const windows = require('./windows');
+const charts = require('./charts');
+
+// Link channels. Windows on the same channel follow each other's symbol.
+const CHANNELS = [
+  {name: 'red', label: 'Red', color: '#e74c3c'},
+  {name: 'green', label: 'Green', color: '#2ecc71'},
+  {name: 'blue', label: 'Blue', color: '#3498db'},
+  {name: 'yellow', label: 'Yellow', color: '#f1c40f'},
+  {name: 'purple', label: 'Purple', color: '#9b59b6'}
+];
+
+function getChannel(name) {
+  return CHANNELS.filter(function (channel) {
+    return channel.name === name;
+  })[0] || null;
+}
+
+/**
+ * Puts the window on a channel. The channel is kept in the window's params (query string "link")
+ * so it survives a reload and session restore.
+ * @param {Object} instance Window instance from windows.js
+ * @param {String} name Channel name, or null to unlink
+ */
+function join(instance, name) {
+  var channel = getChannel(name);
+  windows.update(instance, {link: channel ? channel.name : null});
+  instance.win.webContents.send('link-channel', channel);
+}
+
+/**
+ * Returns the windows linked to the channel
+ * @param {String} name Channel name
+ * @param {Object} [except] Instance to leave out
+ * @return {Array}
+ */
+function members(name, except) {
+  if (!name) return [];
+  return windows.find(function (instance) {
+    return instance !== except && instance.params.link === name;
+  });
+}
+
+/**
+ * Sends a symbol to every window on the channel
+ * @param {String} name Channel name
+ * @param {String} symbol
+ * @param {Object} [from] The instance the change came from. It isn't sent its own change.
+ */
+function publish(name, symbol, from) {
+  members(name, from).forEach(function (instance) {
+    instance.win.webContents.send('link-symbol', symbol);
+  });
+}
+
+/**
+ * Returns the chart windows linked to a window
+ * @param {Object} instance
+ * @return {Array} Instances of windows that take chart commands
+ */
+function linkedCharts(instance) {
+  return members(instance.params.link, instance).filter(function (member) {
+    return charts.isChart(member.win);
+  });
+}
+
+// the first channel no window is on
+function freeChannel() {
+  return CHANNELS.filter(function (channel) {
+    return !members(channel.name).length;
+  }).map(function (channel) {
+    return channel.name;
+  })[0] || null;
+}
+
+/**
+ * Shows a symbol on the charts linked to a window, as a quote grid does for the row picked. With no chart on
+ * its channel an advanced chart opens on the symbol, linked to the window; a window on no channel is put on a
+ * free one first, so that the next symbol goes to the same chart.
+ * @param {Object} instance
+ * @param {String} symbol
+ */
+function showSymbol(instance, symbol) {
+  if (linkedCharts(instance).length) {
+    publish(instance.params.link, symbol, instance);
+    return;
+  }
+  var name = instance.params.link || freeChannel();
+  if (name && name !== instance.params.link) join(instance, name);
+  windows.open('advanced', name ? {symbol: symbol, link: name} : {symbol: symbol});
+}
+
+ipcMain.on('link-channels', function (event) {
+  var instance = windows.fromWebContents(event.sender);
+  event.returnValue = {
+    channels: CHANNELS,
+    current: instance ? getChannel(instance.params.link) : null
+  };
+});
+
+ipcMain.on('link-join', function (event, name) {
+  var instance = windows.fromWebContents(event.sender);
+  if (instance) join(instance, name);
+});
+
+ipcMain.on('link-symbol', function (event, symbol) {
+  var instance = windows.fromWebContents(event.sender);
+  if (instance) publish(instance.params.link, symbol, instance);
+});
+
+ipcMain.on('link-show-symbol', function (event, symbol) {
+  var instance = windows.fromWebContents(event.sender);
+  if (instance) showSymbol(instance, symbol);
+});
+
+// adds a comparison to the linked charts, see STX.Desktop.chartCommands.compare
+ipcMain.on('link-compare', function (event, symbol) {
+  var instance = windows.fromWebContents(event.sender);
+  if (!instance) return;
+  linkedCharts(instance).forEach(function (member) {
+    charts.send(member.win, 'compare', symbol);
+  });
+});
+
+ipcMain.on('link-charts', function (event) {
+  var instance = windows.fromWebContents(event.sender);
+  event.returnValue = instance ? linkedCharts(instance).length : 0;
+});
+
+module.exports = {
+  CHANNELS: CHANNELS,
+  getChannel: getChannel,
+  join: join,
+  members: members,
+  publish: publish,
+  linkedCharts: linkedCharts,
+  showSymbol: showSymbol
+};
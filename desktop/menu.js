@@ -0,0 +1,198 @@
+const {app, BrowserWindow, Menu} = require('electron');
+const path = require('path');
+const windows = require('./windows');
+const links = require('./links');
+const data = require('./data');
+const workspaces = require('./workspaces');
+const charts = require('./charts');
+const printing = require('./printing');
+const exporting = require('./exporting');
+
+// the registry instance of the window a menu item was chosen in
+function instanceOf(win) {
+  return win ? windows.get(win.id) : null;
+}
+
+// File > Recent Workspaces, newest first
+function recentWorkspaces() {
+  var items = workspaces.recent().map(function (file) {
+    return {
+      label: path.basename(file, '.' + workspaces.EXTENSION),
+      sublabel: file,
+      click: function () {
+        workspaces.open(file, function (err) {
+          workspaces.report(err, file);
+        });
+      }
+    };
+  });
+  if (!items.length) items.push({label: 'No Recent Workspaces', enabled: false});
+  items.push({type: 'separator'}, {
+    label: 'Clear Recent',
+    enabled: items.length > 2,
+    click: function () {
+      workspaces.clearRecent();
+    }
+  });
+  return items;
+}
+
+/**
+ * Builds the application menu: File, the chart menus for the focused chart (see charts.js), one menu
+ * per registry menu name in registration order, and Link, which moves the focused window onto a link channel.
+ * @return {Menu}
+ */
+function build() {
+  var focused = BrowserWindow.getFocusedWindow();
+  var chart = charts.isChart(focused);
+  var exportable = exporting.canExport(focused);
+  var menus = [{
+    label: 'File',
+    submenu: [
+      {
+        label: 'Open Data…',
+        accelerator: 'CmdOrCtrl+O',
+        click: function (item, win) {
+          data.openDataFile(win);
+        }
+      },
+      {
+        label: 'Copy Chart Link',
+        accelerator: 'CmdOrCtrl+Shift+C',
+        click: function (item, win) {
+          if (win) win.webContents.send('copy-chart-link');
+        }
+      },
+      {type: 'separator'},
+      {
+        label: 'Open Workspace…',
+        click: function (item, win) {
+          workspaces.openDialog(win);
+        }
+      },
+      {
+        label: 'Recent Workspaces',
+        submenu: recentWorkspaces()
+      },
+      {
+        label: 'Save Workspace',
+        accelerator: 'CmdOrCtrl+S',
+        click: function (item, win) {
+          workspaces.saveDialog(win);
+        }
+      },
+      {
+        label: 'Save Workspace As…',
+        accelerator: 'CmdOrCtrl+Shift+S',
+        click: function (item, win) {
+          workspaces.saveAsDialog(win);
+        }
+      },
+      {type: 'separator'},
+      {
+        label: 'Print…',
+        accelerator: 'CmdOrCtrl+P',
+        enabled: chart,
+        click: function (item, win) {
+          printing.start(win, 'print');
+        }
+      },
+      {
+        label: 'Export PDF…',
+        enabled: chart,
+        click: function (item, win) {
+          printing.start(win, 'pdf');
+        }
+      },
+      {type: 'separator'},
+      {
+        label: 'Export CSV…',
+        accelerator: 'CmdOrCtrl+E',
+        enabled: exportable,
+        click: function (item, win) {
+          exporting.run(win, 'csv', 'visible');
+        }
+      },
+      {
+        label: 'Export All Chart Data…',
+        enabled: chart && exportable,
+        click: function (item, win) {
+          exporting.run(win, 'csv', 'all');
+        }
+      },
+      {
+        label: 'Copy Data',
+        accelerator: 'CmdOrCtrl+Shift+D',
+        enabled: exportable,
+        click: function (item, win) {
+          exporting.run(win, 'copy', 'visible');
+        }
+      },
+      {
+        label: 'Copy All Chart Data',
+        enabled: chart && exportable,
+        click: function (item, win) {
+          exporting.run(win, 'copy', 'all');
+        }
+      },
+      {type: 'separator'},
+      {
+        label: 'Preferences…',
+        accelerator: 'CmdOrCtrl+,',
+        click: function () {
+          windows.open('prefs');
+        }
+      }
+    ]
+  }].concat(charts.menus());
+  var byLabel = {};
+
+  windows.list().forEach(function (template) {
+    if (!template.menu) return;
+    if (!byLabel[template.menu]) {
+      byLabel[template.menu] = {label: template.menu, submenu: []};
+      menus.push(byLabel[template.menu]);
+    }
+    byLabel[template.menu].submenu.push({
+      label: template.label,
+      click: function () {
+        windows.open(template.name);
+      }
+    });
+  });
+
+  menus.push({
+    label: 'Link',
+    submenu: [{name: null, label: 'None'}].concat(links.CHANNELS).map(function (channel) {
+      return {
+        label: channel.label,
+        click: function (item, win) {
+          var instance = instanceOf(win);
+          if (instance) links.join(instance, channel.name);
+        }
+      };
+    })
+  });
+
+  return Menu.buildFromTemplate(menus);
+}
+
+/**
+ * Sets the application menu, and rebuilds it when the recent workspaces, the focused window or the
+ * focused chart's settings change. Call once the app is ready.
+ */
+function install() {
+  Menu.setApplicationMenu(build());
+}
+
+workspaces.on('recent', install);
+charts.on('change', install);
+exporting.on('change', install);
+app.on('browser-window-focus', function () {
+  if (app.isReady()) install();
+});
+
+module.exports = {
+  build: build,
+  install: install
+};
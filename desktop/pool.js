@@ -0,0 +1,108 @@
+const {app, BrowserWindow} = require('electron');
+const windows = require('./windows');
+const settings = require('./settings');
+
+// How long the pool waits after a window opens before loading the next page, so that
+// warming a renderer doesn't slow down the window the user is looking at
+const REFILL_DELAY = 3000;
+
+var started = false;
+var refillTimeout = null;
+
+// Timers that destroy parked windows, by window id
+var idleTimeouts = {};
+
+// the template new charts most likely use, if it can be pooled
+function pooledTemplate() {
+  var name = settings.get().defaultTemplate;
+  var template = windows.getTemplate(name);
+  return template && template.pool ? name : null;
+}
+
+// destroys warm windows of another template or beyond the pool size, and warms one more if the pool is short
+function fill() {
+  refillTimeout = null;
+  var size = settings.get().poolSize;
+  var name = pooledTemplate();
+  var kept = 0;
+  windows.warmed().forEach(function (entry) {
+    if (entry.template === name && kept < size) kept++;
+    else entry.win.destroy();
+  });
+  if (!name || kept >= size) return;
+  // one page at a time, each one parses the whole library
+  windows.warm(name);
+  if (kept + 1 < size) schedule();
+}
+
+function schedule() {
+  if (!started) return;
+  clearTimeout(refillTimeout);
+  refillTimeout = setTimeout(fill, REFILL_DELAY);
+}
+
+function isIdle(win) {
+  var instance = windows.get(win.id);
+  if (instance && instance.parked) return true;
+  return windows.warmed(function (entry) {
+    return entry.win === win;
+  }).length > 0;
+}
+
+// hidden windows would keep the app running once the user has closed every window
+function drain() {
+  var open = BrowserWindow.getAllWindows().filter(function (win) {
+    return !isIdle(win);
+  });
+  if (open.length) return;
+  clearTimeout(refillTimeout);
+  refillTimeout = null;
+  windows.warmed().forEach(function (entry) {
+    entry.win.destroy();
+  });
+  windows.find(function (instance) {
+    return instance.parked;
+  }).forEach(function (instance) {
+    instance.win.destroy();
+  });
+}
+
+/**
+ * Starts keeping settings.poolSize chart pages of the default template loaded in hidden windows,
+ * and destroying windows that stay parked for settings.idleMinutes. Call once the windows of the
+ * last session have opened.
+ */
+function start() {
+  started = true;
+  schedule();
+}
+
+windows.on('open', schedule);
+
+windows.on('park', function (instance) {
+  clearTimeout(idleTimeouts[instance.id]);
+  idleTimeouts[instance.id] = setTimeout(function () {
+    delete idleTimeouts[instance.id];
+    if (instance.parked && !instance.win.isDestroyed()) instance.win.destroy();
+  }, settings.get().idleMinutes * 60000);
+});
+
+windows.on('closed', function (id) {
+  clearTimeout(idleTimeouts[id]);
+  delete idleTimeouts[id];
+  // windows opened in response to the close, such as by a workspace, count as open
+  setImmediate(drain);
+});
+
+settings.on('change', function (current, changed) {
+  if ('poolSize' in changed || 'defaultTemplate' in changed) schedule();
+});
+
+app.on('before-quit', function () {
+  started = false;
+  clearTimeout(refillTimeout);
+});
+
+module.exports = {
+  start: start
+};
@@ -0,0 +1,371 @@
+const {contextBridge, ipcRenderer, clipboard} = require('electron');
+
+// Bumped whenever a member of window.desktop changes incompatibly. Additions keep the version.
+const VERSION = 1;
+
+// Requests answered asynchronously, by id (see quote-fetch, data-fetch and symbol-lookup)
+var nextId = 0;
+var pending = {};
+
+function request(channel, params, cb) {
+  var id = ++nextId;
+  pending[id] = cb;
+  ipcRenderer.send(channel, id, params);
+}
+
+function resolve(event, id, result) {
+  var cb = pending[id];
+  delete pending[id];
+  if (cb) cb(result);
+}
+
+ipcRenderer.on('quote-fetch-result', resolve);
+ipcRenderer.on('data-fetch-result', resolve);
+ipcRenderer.on('symbol-lookup-result', resolve);
+
+// context menus waiting for a choice, by request id. A menu closed without a choice answers without an item.
+var menus = {};
+
+ipcRenderer.on('context-menu-click', function (event, id, item) {
+  var cb = menus[id];
+  delete menus[id];
+  if (cb && item !== undefined) cb(item);
+});
+
+// subscribes cb to a message from the main process, without handing the page the event object
+function listen(channel, cb) {
+  var listener = function (event) {
+    cb.apply(null, Array.prototype.slice.call(arguments, 1));
+  };
+  ipcRenderer.on(channel, listener);
+  return function () {
+    ipcRenderer.removeListener(channel, listener);
+  };
+}
+
+var watchers = {};
+
+// returns this window's part of a workspace file, see desktop/workspaces.js
+var workspaceProvider = null;
+
+ipcRenderer.on('workspace-collect', function (event, id) {
+  var state = null;
+  try {
+    if (workspaceProvider) state = workspaceProvider();
+  } catch (e) {
+    console.log('Cannot describe this window for the workspace: ' + e.message);
+  }
+  ipcRenderer.send('workspace-state', id, state);
+});
+
+// returns the table File > Export CSV and Copy Data export, see desktop/exporting.js
+var exportProvider = null;
+
+ipcRenderer.on('export-collect', function (event, id, options) {
+  var table = null;
+  try {
+    if (exportProvider) table = exportProvider(options);
+  } catch (e) {
+    console.log('Cannot export this window: ' + e.message);
+  }
+  ipcRenderer.send('export-table', id, table);
+});
+
+ipcRenderer.on('data-changed', function (event, id) {
+  if (watchers[id]) watchers[id]();
+});
+
+/**
+ * The only way pages reach the main process. Pages run without Node integration and with context
+ * isolation, so this is all that third party chart plugins loaded into them can see.
+ * Listener registrations (on...) return a function that removes the listener.
+ */
+var desktop = {
+  version: VERSION,
+
+  app: {
+    // {name, version, versions: {electron, chrome, node}}
+    info: function () {
+      return ipcRenderer.sendSync('app-info');
+    }
+  },
+
+  windows: {
+    open: function (name, params) {
+      ipcRenderer.send('open-window', name, params);
+    },
+    close: function () {
+      ipcRenderer.send('close-window');
+    },
+    templates: function () {
+      return ipcRenderer.sendSync('window-templates');
+    },
+    // opens another window of this window's template
+    duplicate: function (params) {
+      ipcRenderer.send('duplicate-window', params);
+    },
+    // a window loaded ahead of time is being opened, with its query string parameters (see STX.Desktop.ready)
+    onAssign: function (cb) {
+      return listen('window-assign', cb);
+    }
+  },
+
+  links: {
+    // {channels, current}
+    channels: function () {
+      return ipcRenderer.sendSync('link-channels');
+    },
+    join: function (name) {
+      ipcRenderer.send('link-join', name);
+    },
+    publish: function (symbol) {
+      ipcRenderer.send('link-symbol', symbol);
+    },
+    // shows the symbol on the linked charts, or opens a chart for it when none is linked
+    show: function (symbol) {
+      ipcRenderer.send('link-show-symbol', symbol);
+    },
+    compare: function (symbol) {
+      ipcRenderer.send('link-compare', symbol);
+    },
+    // how many chart windows are on this window's channel
+    charts: function () {
+      return ipcRenderer.sendSync('link-charts');
+    },
+    onSymbol: function (cb) {
+      return listen('link-symbol', cb);
+    },
+    onChannel: function (cb) {
+      return listen('link-channel', cb);
+    }
+  },
+
+  storage: {
+    get: function (key) {
+      return ipcRenderer.sendSync('store-get', key);
+    },
+    set: function (key, value) {
+      ipcRenderer.send('store-set', key, value);
+    },
+    remove: function (key) {
+      ipcRenderer.send('store-remove', key);
+    }
+  },
+
+  dialogs: {
+    // options as for Electron's dialog.showOpenDialog. Returns the chosen paths or null.
+    openFile: function (options) {
+      return ipcRenderer.sendSync('dialog-open-file', options);
+    },
+    openDirectory: function (options) {
+      return ipcRenderer.sendSync('dialog-open-directory', options);
+    }
+  },
+
+  menus: {
+    // items as for Electron's Menu.buildFromTemplate, with an id in place of click. cb gets the chosen id.
+    popup: function (items, cb) {
+      var id = ++nextId;
+      menus[id] = cb;
+      ipcRenderer.send('context-menu', id, items);
+    }
+  },
+
+  clipboard: {
+    writeText: function (text) {
+      clipboard.writeText(String(text));
+    }
+  },
+
+  session: {
+    restore: function () {
+      return ipcRenderer.sendSync('session-restore');
+    },
+    save: function (layout, symbol, drawings) {
+      ipcRenderer.send('session-save', layout, symbol, drawings);
+    },
+    launchApplied: function () {
+      ipcRenderer.send('launch-applied');
+    }
+  },
+
+  settings: {
+    get: function () {
+      return ipcRenderer.sendSync('settings-get');
+    },
+    choices: function () {
+      return ipcRenderer.sendSync('settings-choices');
+    },
+    set: function (changes) {
+      ipcRenderer.send('settings-set', changes);
+    },
+    onChange: function (cb) {
+      return listen('settings-changed', cb);
+    }
+  },
+
+  quotes: {
+    fetch: function (params, cb) {
+      request('quote-fetch', params, cb);
+    },
+    subscribe: function (params) {
+      ipcRenderer.send('quote-subscribe', params);
+    },
+    unsubscribe: function (params) {
+      ipcRenderer.send('quote-unsubscribe', params);
+    },
+    onUpdate: function (cb) {
+      return listen('quote-update', cb);
+    },
+    // params {text, max}, cb gets [{symbol, name, exchange}]
+    lookup: function (params, cb) {
+      request('symbol-lookup', params, cb);
+    }
+  },
+
+  snapshots: {
+    // the symbols this window shows, replacing those it watched before. See desktop/snapshots.js.
+    watch: function (symbols) {
+      ipcRenderer.send('snapshot-watch', symbols);
+    },
+    // cb gets [{symbol, last, change, changePercent, bid, ask, volume, high, low, high52, low52, time, error}]
+    onUpdate: function (cb) {
+      return listen('snapshot-update', cb);
+    }
+  },
+
+  data: {
+    // reads a data file in the main process, see desktop/feeds/file.js
+    fetch: function (params, cb) {
+      request('data-fetch', params, cb);
+    },
+    watch: function (params, cb) {
+      var id = ++nextId;
+      watchers[id] = cb;
+      ipcRenderer.send('data-watch', id, params);
+      return function () {
+        delete watchers[id];
+        ipcRenderer.send('data-unwatch', id);
+      };
+    }
+  },
+
+  alerts: {
+    // [{id, symbol, price, above, created}], see desktop/alerts.js
+    list: function () {
+      return ipcRenderer.sendSync('alerts-list');
+    },
+    add: function (alert) {
+      return ipcRenderer.sendSync('alerts-add', alert);
+    },
+    remove: function (ids) {
+      ipcRenderer.send('alerts-remove', ids);
+    },
+    // returns true if this window is the first to see the alert fire
+    trigger: function (id) {
+      return ipcRenderer.sendSync('alerts-trigger', id);
+    },
+    onChange: function (cb) {
+      return listen('alerts-changed', cb);
+    }
+  },
+
+  account: {
+    // {balances, positions, openOrders, trades} as STX.Account keeps them, or null. See desktop/account.js.
+    get: function () {
+      return ipcRenderer.sendSync('account-get');
+    },
+    set: function (account) {
+      ipcRenderer.send('account-set', account);
+    },
+    // another window changed the account
+    onChange: function (cb) {
+      return listen('account-changed', cb);
+    }
+  },
+
+  workspace: {
+    // fn returns the window's state (layout, drawings, grid columns...) when a workspace is saved
+    provide: function (fn) {
+      workspaceProvider = fn;
+    },
+    // the state saved for this window, when it was opened from a workspace file. Only returned once.
+    restore: function () {
+      return ipcRenderer.sendSync('workspace-restore');
+    }
+  },
+
+  exporting: {
+    // fn is called with {range: 'visible' or 'all'} and returns {name, columns, rows}, formatted for display
+    provide: function (fn) {
+      exportProvider = fn;
+      ipcRenderer.send('export-provide');
+    }
+  },
+
+  printing: {
+    // for print.html: {action, options, pageSizes}, see desktop/printing.js
+    setup: function () {
+      return ipcRenderer.sendSync('print-setup');
+    },
+    run: function (options, action) {
+      ipcRenderer.send('print-run', options, action);
+    },
+    // for charts: lay out for paper, call ready() once done, and go back to normal on done
+    onPrepare: function (cb) {
+      return listen('print-prepare', cb);
+    },
+    ready: function () {
+      ipcRenderer.send('print-ready');
+    },
+    onDone: function (cb) {
+      return listen('print-done', cb);
+    }
+  },
+
+  diagnostics: {
+    // entry {level, subsystem, message, details}, see desktop/diagnostics.js
+    log: function (entry) {
+      ipcRenderer.send('diagnostics-log', entry);
+    },
+    // for diagnostics.html: {entries, levels, subsystems}
+    entries: function () {
+      return ipcRenderer.sendSync('diagnostics-entries');
+    },
+    clear: function () {
+      ipcRenderer.send('diagnostics-clear');
+    },
+    // asks where to save the events with these ids
+    export: function (ids) {
+      ipcRenderer.send('diagnostics-export', ids);
+    },
+    onEntry: function (cb) {
+      return listen('diagnostics-entry', cb);
+    }
+  },
+
+  charts: {
+    onDeepLink: function (cb) {
+      return listen('deep-link', cb);
+    },
+    onCopyLink: function (cb) {
+      return listen('copy-chart-link', cb);
+    },
+    // commands from the chart menus, see desktop/charts.js
+    onCommand: function (cb) {
+      return listen('chart-command', cb);
+    },
+    // what the chart menus check: {symbol, chartType, aggregationType, semiLog, crosshair, marketSessions, periodicity, interval, vectorType}
+    state: function (state) {
+      ipcRenderer.send('chart-state', state);
+    },
+    shareDrawings: function (symbol, drawings) {
+      return ipcRenderer.sendSync('share-drawings', symbol, drawings);
+    },
+    sharedDrawings: function (id) {
+      return ipcRenderer.sendSync('shared-drawings', id);
+    }
+  }
+};
+
+contextBridge.exposeInMainWorld('desktop', desktop);
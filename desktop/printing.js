@@ -0,0 +1,131 @@
+const {app, BrowserWindow, dialog, ipcMain} = require('electron');
+const fs = require('fs');
+const path = require('path');
+const windows = require('./windows');
+const charts = require('./charts');
+const store = require('./store');
+
+// File > Print and File > Export PDF. The print window (print.html) asks for the options, the chart
+// lays itself out for paper (see STX.Desktop.preparePrint) and answers 'print-ready', and the chart's
+// webContents prints it or renders it to a PDF file. 'print-done' puts the chart back.
+
+const PAGE_SIZES = ['A4', 'A3', 'Letter', 'Legal', 'Tabloid'];
+
+const DEFAULTS = {
+  pageSize: 'A4',
+  landscape: true,
+  header: true,
+  legend: true,
+  range: 'visible'
+};
+
+// The options used last, remembered for the next print
+const OPTIONS_KEY = 'printOptions';
+
+// {target, action} by print window id: the chart window and whether it prints or exports
+var setups = {};
+
+// {options, cb} by chart window id, while the chart lays itself out
+var jobs = {};
+
+function options() {
+  return Object.assign({}, DEFAULTS, store.shared().get(OPTIONS_KEY));
+}
+
+/**
+ * Asks for the print options of a chart window, then prints it or exports it as PDF
+ * @param {BrowserWindow} target The chart window
+ * @param {String} action 'print' or 'pdf'
+ */
+function start(target, action) {
+  if (!charts.isChart(target)) return;
+  var win = windows.open('print', {action: action});
+  if (!win) return;
+  var id = win.id;
+  setups[id] = {target: target.id, action: action};
+  win.on('closed', function () {
+    delete setups[id];
+  });
+}
+
+// lays the chart out for paper, then calls cb once it is ready
+function prepare(target, printOptions, cb) {
+  jobs[target.id] = {cb: cb};
+  target.webContents.send('print-prepare', printOptions);
+}
+
+function finish(target) {
+  if (!target.isDestroyed()) target.webContents.send('print-done');
+}
+
+function print(target, printOptions) {
+  prepare(target, printOptions, function () {
+    target.webContents.print({printBackground: true}, function () {
+      finish(target);
+    });
+  });
+}
+
+function exportPDF(target, printOptions, symbol) {
+  dialog.showSaveDialog(target, {
+    title: 'Export PDF',
+    defaultPath: path.join(app.getPath('documents'), (symbol || 'Chart') + '.pdf'),
+    filters: [{name: 'PDF', extensions: ['pdf']}]
+  }).then(function (result) {
+    if (result.canceled || !result.filePath) return;
+    var file = result.filePath;
+    prepare(target, printOptions, function () {
+      target.webContents.printToPDF({
+        pageSize: printOptions.pageSize,
+        landscape: printOptions.landscape,
+        printBackground: true,
+        marginsType: 0
+      }).then(function (data) {
+        finish(target);
+        fs.writeFile(file, data, function (err) {
+          if (err) dialog.showErrorBox('Export PDF', 'Cannot write ' + file + '\n' + err.message);
+        });
+      }, function (err) {
+        finish(target);
+        dialog.showErrorBox('Export PDF', err.message);
+      });
+    });
+  });
+}
+
+ipcMain.on('print-setup', function (event) {
+  var win = BrowserWindow.fromWebContents(event.sender);
+  var setup = win ? setups[win.id] : null;
+  event.returnValue = {
+    action: setup ? setup.action : 'print',
+    options: options(),
+    pageSizes: PAGE_SIZES
+  };
+});
+
+// from the print window once the options are chosen
+ipcMain.on('print-run', function (event, printOptions, action) {
+  var win = BrowserWindow.fromWebContents(event.sender);
+  var setup = win ? setups[win.id] : null;
+  if (!setup) return;
+  var target = BrowserWindow.fromId(setup.target);
+  win.close();
+  if (!target || target.isDestroyed()) return;
+  printOptions = Object.assign({}, DEFAULTS, printOptions);
+  store.shared().set(OPTIONS_KEY, printOptions);
+  if (action === 'pdf') exportPDF(target, printOptions, charts.state(target).symbol);
+  else print(target, printOptions);
+});
+
+ipcMain.on('print-ready', function (event) {
+  var win = BrowserWindow.fromWebContents(event.sender);
+  var job = win ? jobs[win.id] : null;
+  if (!job) return;
+  delete jobs[win.id];
+  job.cb();
+});
+
+module.exports = {
+  PAGE_SIZES: PAGE_SIZES,
+  start: start
+};
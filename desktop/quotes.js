@@ -0,0 +1,245 @@
+const {ipcMain} = require('electron');
+const Demo = require('./feeds/demo');
+
+// The source every window's quotes come from. Anything with fetch(params, cb), see feeds/demo.js.
+var source = new Demo();
+
+// How often subscriptions are polled for new bars, in milliseconds
+var refreshInterval = 1000;
+
+// After a failed update a subscription waits twice as long before the next, up to this, in milliseconds. Sources
+// that can't update an interval at all (the Demo source's daily charts) are then only asked now and then.
+const MAX_BACKOFF = 5 * 60000;
+
+// Subscriptions by key ("symbol|period|interval"). The renderer side is STX.QuoteFeed.Desktop,
+// which reports the subscribe/unsubscribe calls of its STX.QuoteFeed.Subscriptions bookkeeping.
+var subscriptions = {};
+
+function keyOf(params) {
+  return [params.symbol, params.period, params.interval].join('|');
+}
+
+function setSource(newSource) {
+  source = newSource;
+}
+
+function setRefreshInterval(ms) {
+  refreshInterval = ms;
+  for (var key in subscriptions) {
+    stopPolling(subscriptions[key]);
+    startPolling(subscriptions[key]);
+  }
+}
+
+function broadcast(subscription, result) {
+  var update = {
+    symbol: subscription.symbol,
+    period: subscription.period,
+    interval: subscription.interval,
+    quotes: result.quotes,
+    attribution: result.attribution
+  };
+  for (var id in subscription.listeners) {
+    var webContents = subscription.listeners[id].webContents;
+    if (!webContents.isDestroyed()) webContents.send('quote-update', update);
+  }
+  subscription.followers.forEach(function (cb) {
+    cb(update);
+  });
+}
+
+function poll(subscription) {
+  var timer = subscription.timer;
+  source.fetch({
+    symbol: subscription.symbol,
+    period: subscription.period,
+    interval: subscription.interval,
+    startDate: subscription.lastDate || Date.now(),
+    update: true
+  }, function (result) {
+    // unsubscribed, or polling restarted, while fetching
+    if (!subscriptions[subscription.key] || subscription.timer !== timer) return;
+    subscription.delay = result.error ? Math.min(subscription.delay * 2, MAX_BACKOFF) : refreshInterval;
+    schedule(subscription);
+    if (result.error || !result.quotes || !result.quotes.length) return;
+    var last = result.quotes[result.quotes.length - 1];
+    if (last.DT) subscription.lastDate = last.DT;
+    broadcast(subscription, result);
+  });
+}
+
+function schedule(subscription) {
+  subscription.timer = setTimeout(function () {
+    poll(subscription);
+  }, subscription.delay);
+}
+
+function startPolling(subscription) {
+  if (!refreshInterval) return;
+  subscription.delay = refreshInterval;
+  schedule(subscription);
+}
+
+function stopPolling(subscription) {
+  clearTimeout(subscription.timer);
+  subscription.timer = null;
+}
+
+function subscriptionFor(params) {
+  var key = keyOf(params);
+  var subscription = subscriptions[key];
+  if (!subscription) {
+    subscription = subscriptions[key] = {
+      key: key,
+      symbol: params.symbol,
+      period: params.period,
+      interval: params.interval,
+      listeners: {},
+      followers: [],
+      lastDate: null,
+      timer: null,
+      delay: refreshInterval
+    };
+    startPolling(subscription);
+  }
+  return subscription;
+}
+
+// stops polling once neither a window nor the main process wants the symbol
+function closeIfUnused(subscription) {
+  if (Object.keys(subscription.listeners).length || subscription.followers.length) return;
+  stopPolling(subscription);
+  delete subscriptions[subscription.key];
+}
+
+/**
+ * Adds a reference from the window to the symbol. The symbol is polled once,
+ * however many windows want it.
+ * @param {WebContents} webContents
+ * @param {Object} params {symbol, period, interval}
+ */
+function subscribe(webContents, params) {
+  var subscription = subscriptionFor(params);
+  var listener = subscription.listeners[webContents.id];
+  if (!listener) {
+    listener = subscription.listeners[webContents.id] = {webContents: webContents, count: 0};
+    webContents.once('destroyed', function () {
+      release(webContents.id);
+    });
+  }
+  listener.count++;
+}
+
+/**
+ * Removes a reference. The symbol stops being polled when no window wants it.
+ * @param {WebContents} webContents
+ * @param {Object} params {symbol, period, interval}
+ */
+function unsubscribe(webContents, params) {
+  var subscription = subscriptions[keyOf(params)];
+  if (!subscription) return;
+  var listener = subscription.listeners[webContents.id];
+  if (!listener) return;
+  if (--listener.count <= 0) delete subscription.listeners[webContents.id];
+  closeIfUnused(subscription);
+}
+
+/**
+ * Follows a symbol's new bars in the main process, sharing the polling with the windows that chart it
+ * @param {Object} params {symbol, period, interval}
+ * @param {Function} cb Called with {symbol, period, interval, quotes, attribution}
+ * @return {Function} Stops following
+ */
+function follow(params, cb) {
+  var subscription = subscriptionFor(params);
+  subscription.followers.push(cb);
+  return function () {
+    subscription.followers = subscription.followers.filter(function (f) {
+      return f !== cb;
+    });
+    closeIfUnused(subscription);
+  };
+}
+
+/**
+ * Fetches from the current quote source
+ * @param {Object} params As for the source's fetch, see feeds/demo.js
+ * @param {Function} cb Called with {quotes, moreAvailable} or {error}
+ */
+function fetch(params, cb) {
+  source.fetch(params, cb);
+}
+
+// drops every reference held by a window that has gone away
+function release(webContentsId) {
+  for (var key in subscriptions) {
+    var subscription = subscriptions[key];
+    if (!subscription.listeners[webContentsId]) continue;
+    delete subscription.listeners[webContentsId];
+    closeIfUnused(subscription);
+  }
+}
+
+/**
+ * Finds symbols for a symbol lookup (see STX.UI.Lookup.Driver.Desktop) among those the quote source
+ * knows, such as the files in the data directory. The text itself is offered too, since sources
+ * like the demo feed chart symbols they can't list.
+ * @param {Object} params {text, max}
+ * @param {Function} cb Called with [{symbol, name, exchange}]
+ */
+function lookup(params, cb) {
+  var text = String(params.text || '').trim().toUpperCase();
+  var max = params.max || 100;
+  function found(symbols) {
+    var results = symbols.filter(function (item) {
+      return item.symbol.toUpperCase().indexOf(text) === 0 || (item.name || '').toUpperCase().indexOf(text) > -1;
+    }).sort(function (a, b) {
+      return a.symbol.localeCompare(b.symbol);
+    });
+    var exact = results.some(function (item) {
+      return item.symbol.toUpperCase() === text;
+    });
+    if (text && !exact) results.unshift({symbol: text, name: '', exchange: ''});
+    cb(results.slice(0, max));
+  }
+  if (source.symbols) source.symbols(found);
+  else found([]);
+}
+
+ipcMain.on('quote-fetch', function (event, id, params) {
+  var webContents = event.sender;
+  source.fetch(params, function (result) {
+    // later polls continue from the newest bar sent to any window
+    var subscription = subscriptions[keyOf(params)];
+    if (subscription && !result.error && result.quotes && result.quotes.length && !params.endDate) {
+      var last = result.quotes[result.quotes.length - 1];
+      if (last.DT && (!subscription.lastDate || last.DT > subscription.lastDate)) subscription.lastDate = last.DT;
+    }
+    if (!webContents.isDestroyed()) webContents.send('quote-fetch-result', id, result);
+  });
+});
+
+ipcMain.on('symbol-lookup', function (event, id, params) {
+  var webContents = event.sender;
+  lookup(params, function (results) {
+    if (!webContents.isDestroyed()) webContents.send('symbol-lookup-result', id, results);
+  });
+});
+
+ipcMain.on('quote-subscribe', function (event, params) {
+  subscribe(event.sender, params);
+});
+
+ipcMain.on('quote-unsubscribe', function (event, params) {
+  unsubscribe(event.sender, params);
+});
+
+module.exports = {
+  setSource: setSource,
+  setRefreshInterval: setRefreshInterval,
+  lookup: lookup,
+  subscribe: subscribe,
+  unsubscribe: unsubscribe,
+  follow: follow,
+  fetch: fetch
+};
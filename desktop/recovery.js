@@ -0,0 +1,164 @@
+const {app, dialog} = require('electron');
+const fs = require('fs');
+const path = require('path');
+const windows = require('./windows');
+const session = require('./session');
+const workspaces = require('./workspaces');
+const diagnostics = require('./diagnostics');
+
+// Chart renderers can crash or hang on heavy studies over long histories. The window then offers to
+// reload, and comes back with the layout and drawings it last autosaved (see STX.Desktop.saveLayout).
+// Each crash and hang is added to a log in the userData directory.
+
+const LOG_FILE = 'crashes.log';
+
+// window ids with a dialog up, so that a hang that comes back doesn't ask twice
+var asking = {};
+
+// window ids whose renderer is being ended on purpose to reload it
+var reloading = {};
+
+function logFile() {
+  return path.join(app.getPath('userData'), LOG_FILE);
+}
+
+/**
+ * Adds a crash or hang to the log: one JSON object per line with the window and what its chart showed,
+ * {time, event, reason, template, key, symbol, periodicity, interval, studies}
+ * @param {Object} instance As windows.get returns, template and key null for a window not opened from a template
+ * @param {String} event 'crashed' or 'unresponsive'
+ * @param {String} [reason] 'killed' or 'crashed', from the webContents crashed event
+ * @return {Object} The log entry
+ */
+function log(instance, event, reason) {
+  var saved = session.savedLayout(instance.key) || {};
+  var layout = saved.layout || {};
+  var entry = {
+    time: new Date().toISOString(),
+    event: event,
+    reason: reason || null,
+    template: instance.template,
+    key: instance.key,
+    symbol: saved.symbol || instance.params.symbol || null,
+    periodicity: layout.periodicity || null,
+    interval: layout.interval || null,
+    studies: Object.keys(layout.studies || {})
+  };
+  diagnostics.add({
+    level: 'error',
+    subsystem: 'app',
+    message: event === 'crashed' ? 'Renderer ' + entry.reason : 'Window not responding',
+    details: entry
+  }, instance.win);
+  fs.appendFile(logFile(), JSON.stringify(entry) + '\n', function (err) {
+    if (err) diagnostics.add({level: 'warn', subsystem: 'app', message: 'Cannot write ' + logFile(), details: {error: err.message}});
+  });
+  return entry;
+}
+
+// reloads the page, handing it the drawings it last saved. The layout comes back through the session.
+function reload(instance) {
+  if (!instance.template) {
+    instance.win.webContents.reload();
+    return;
+  }
+  var saved = session.savedLayout(instance.key);
+  if (saved && saved.drawings) workspaces.stage(instance.key, {drawings: saved.drawings});
+  windows.reload(instance);
+}
+
+function describe(entry) {
+  var parts = [entry.symbol, entry.studies.join(', ')].filter(function (part) {
+    return part;
+  });
+  return parts.length ? ' (' + parts.join(': ') + ')' : '';
+}
+
+function ask(instance, options, cb) {
+  var id = instance.id;
+  if (asking[id]) return;
+  asking[id] = true;
+  dialog.showMessageBox(instance.win, Object.assign({
+    type: 'warning',
+    defaultId: 0,
+    detail: 'Reloading restores the layout and drawings the window last saved. Details are in ' + logFile() + '.'
+  }, options)).then(function (result) {
+    delete asking[id];
+    if (!instance.win.isDestroyed()) cb(result.response);
+  });
+}
+
+// the window's instance, or a stand-in for a window that isn't opened from a template, such as the main window
+function instanceOf(win) {
+  return windows.get(win.id) || {id: win.id, key: null, template: null, params: {}, win: win};
+}
+
+function isWarm(win) {
+  return windows.warmed(function (entry) {
+    return entry.win === win;
+  }).length > 0;
+}
+
+function crashed(win, killed) {
+  // a page kept loaded ahead of time has nothing to lose, the pool loads another
+  if (isWarm(win)) {
+    win.destroy();
+    return;
+  }
+  var instance = instanceOf(win);
+  if (reloading[win.id]) {
+    delete reloading[win.id];
+    reload(instance);
+    return;
+  }
+  var entry = log(instance, 'crashed', killed ? 'killed' : 'crashed');
+  ask(instance, {
+    type: 'error',
+    buttons: ['Reload', 'Close Window'],
+    cancelId: 1,
+    message: 'The window stopped working' + describe(entry) + '.'
+  }, function (response) {
+    if (response === 0) reload(instance);
+    else instance.win.close();
+  });
+}
+
+function unresponsive(win) {
+  if (isWarm(win)) return;
+  var instance = instanceOf(win);
+  var entry = log(instance, 'unresponsive');
+  ask(instance, {
+    buttons: ['Wait', 'Reload'],
+    cancelId: 0,
+    message: 'The window is not responding' + describe(entry) + '.'
+  }, function (response) {
+    if (response !== 1) return;
+    // a hung renderer can't unload its page, so its process is ended and the crash handler reloads it
+    reloading[instance.id] = true;
+    try {
+      process.kill(instance.win.webContents.getOSProcessId());
+    } catch (e) {
+      delete reloading[instance.id];
+      reload(instance);
+    }
+  });
+}
+
+app.on('browser-window-created', function (event, win) {
+  var id = win.id;
+  win.webContents.on('crashed', function (event, killed) {
+    crashed(win, killed);
+  });
+  win.on('unresponsive', function () {
+    unresponsive(win);
+  });
+  win.on('closed', function () {
+    delete asking[id];
+    delete reloading[id];
+  });
+});
+
+module.exports = {
+  log: log,
+  logFile: logFile
+};
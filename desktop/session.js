@@ -0,0 +1,223 @@
+const {app, ipcMain, screen} = require('electron');
+const windows = require('./windows');
+const store = require('./store');
+
+// Same key and {id, layout, symbol} stack as STX.UI.MultiWindow, so chartiq.html can
+// run STX.UI.MultiWindow directly over STX.Desktop.NameValueStore
+const LAYOUTS_KEY = 'myChartIQLayouts';
+const MAX_LAYOUTS = 50;
+
+// [{key, template, params, bounds, displayId, maximized}] for the windows open at quit
+const WINDOWS_KEY = 'sessionWindows';
+
+var quitting = false;
+var restoring = false;
+
+// windows closed when no other window of the session was open. Closing the last window usually ends the app
+// (on Windows and Linux there is no File > Quit to speak of), so they stay in the session, unless the app goes
+// on to open another window.
+var lastClosed = [];
+
+/**
+ * Moves the id to the top of the layout stack, see STX.UI.MultiWindow.prototype._mru
+ * @private
+ */
+function mru(stack, id, create) {
+  for (var i = 0; i < stack.length; i++) {
+    var tuple = stack[i];
+    if (tuple.id === id) {
+      stack.splice(i, 1);
+      stack.unshift(tuple);
+      return stack[0];
+    }
+  }
+  if (!create) {
+    if (stack.length) return stack[0];
+    return null;
+  }
+  stack.unshift({id: id, layout: null});
+  while (stack.length >= MAX_LAYOUTS)
+    stack.pop();
+  return stack[0];
+}
+
+/**
+ * Returns the layout saved for the window key, or the most recently used layout
+ * when the window has none of its own yet.
+ * @param {String} key Window key
+ * @return {Object} {id, layout, symbol} or null
+ */
+function restoreLayout(key) {
+  var stack = store.shared().get(LAYOUTS_KEY) || [];
+  var item = mru(stack, key, false);
+  store.shared().set(LAYOUTS_KEY, stack);
+  return item;
+}
+
+/**
+ * The layout saved by the window itself, without falling back to another window's
+ * @param {String} key Window key
+ * @return {Object} {id, layout, symbol, drawings} or null
+ */
+function savedLayout(key) {
+  var stack = store.shared().get(LAYOUTS_KEY) || [];
+  return stack.filter(function (item) {
+    return item.id === key;
+  })[0] || null;
+}
+
+/**
+ * Remembers a window's layout
+ * @param {String} key Window key
+ * @param {Object} layout From exportLayout()
+ * @param {String} symbol
+ * @param {Array} [drawings] From serializeDrawings(), kept to recover the window after a crash (see recovery.js).
+ * Left as they were when not passed.
+ */
+function saveLayout(key, layout, symbol, drawings) {
+  var stack = store.shared().get(LAYOUTS_KEY) || [];
+  var item = mru(stack, key, true);
+  item.layout = layout;
+  item.symbol = symbol;
+  if (drawings !== undefined) item.drawings = drawings;
+  store.shared().set(LAYOUTS_KEY, stack);
+}
+
+function readWindows() {
+  return store.shared().get(WINDOWS_KEY) || [];
+}
+
+function writeWindows(list) {
+  store.shared().set(WINDOWS_KEY, list);
+}
+
+/**
+ * Fills in how to reopen a window: {key, template, params, bounds, displayId, maximized}
+ * @param {Object} instance
+ * @param {Object} [entry] A previous description to update
+ * @return {Object} The entry
+ */
+function describe(instance, entry) {
+  var win = instance.win;
+  entry = entry || {key: instance.key};
+  entry.template = instance.template;
+  entry.params = instance.params;
+  entry.maximized = win.isMaximized();
+  // keep the restored size of a maximized window
+  if (!entry.maximized || !entry.bounds) entry.bounds = win.getBounds();
+  entry.displayId = screen.getDisplayMatching(entry.bounds).id;
+  return entry;
+}
+
+function record(instance) {
+  if (instance.win.isDestroyed()) return;
+  var list = readWindows();
+  var entry = list.filter(function (e) {
+    return e.key === instance.key;
+  })[0];
+  if (!entry) {
+    entry = {key: instance.key};
+    list.push(entry);
+  }
+  describe(instance, entry);
+  writeWindows(list);
+}
+
+function forget(instance) {
+  writeWindows(readWindows().filter(function (e) {
+    return e.key !== instance.key;
+  }));
+}
+
+// the other windows the session would reopen
+function othersOpen(instance) {
+  return windows.find(function (other) {
+    return other !== instance && !other.parked && windows.getTemplate(other.template).restore;
+  }).length > 0;
+}
+
+function track(instance) {
+  if (!windows.getTemplate(instance.template).restore) return;
+  if (!restoring) {
+    lastClosed.forEach(forget);
+    lastClosed = [];
+  }
+  var timeout = null;
+  function update() {
+    clearTimeout(timeout);
+    timeout = setTimeout(function () {
+      record(instance);
+    }, 500);
+  }
+  var win = instance.win;
+  win.on('move', update);
+  win.on('resize', update);
+  win.on('maximize', update);
+  win.on('unmaximize', update);
+  win.on('closed', function () {
+    clearTimeout(timeout);
+    // windows closed by quitting are the session we want back
+    if (quitting) return;
+    if (othersOpen(instance)) forget(instance);
+    else lastClosed.push(instance);
+  });
+  if (!restoring) record(instance);
+}
+
+// drop the position if the display the window was on is gone
+function validBounds(entry) {
+  if (!entry.bounds) return null;
+  var displays = screen.getAllDisplays();
+  var found = displays.some(function (display) {
+    return display.id === entry.displayId;
+  });
+  if (found) return entry.bounds;
+  return {width: entry.bounds.width, height: entry.bounds.height};
+}
+
+/**
+ * Reopens the windows that were open when the app last quit
+ */
+function restore() {
+  var list = readWindows();
+  restoring = true;
+  list.forEach(function (entry) {
+    if (!windows.getTemplate(entry.template)) return;
+    windows.open(entry.template, entry.params, {
+      key: entry.key,
+      bounds: validBounds(entry),
+      maximized: entry.maximized
+    });
+  });
+  restoring = false;
+}
+
+windows.on('open', track);
+windows.on('change', function (instance) {
+  if (windows.getTemplate(instance.template).restore) record(instance);
+});
+
+app.on('before-quit', function () {
+  quitting = true;
+});
+
+ipcMain.on('session-restore', function (event) {
+  var instance = windows.fromWebContents(event.sender);
+  event.returnValue = instance ? restoreLayout(instance.key) : null;
+});
+
+ipcMain.on('session-save', function (event, layout, symbol, drawings) {
+  var instance = windows.fromWebContents(event.sender);
+  if (!instance) return;
+  saveLayout(instance.key, layout, symbol, drawings);
+  if (symbol && instance.params.symbol !== symbol) windows.update(instance, {symbol: symbol});
+});
+
+module.exports = {
+  restore: restore,
+  restoreLayout: restoreLayout,
+  savedLayout: savedLayout,
+  saveLayout: saveLayout,
+  describe: describe,
+  validBounds: validBounds
+};
@@ -0,0 +1,139 @@
+const {app, BrowserWindow, ipcMain} = require('electron');
+const EventEmitter = require('events');
+const path = require('path');
+const windows = require('./windows');
+const store = require('./store');
+const quotes = require('./quotes');
+const Demo = require('./feeds/demo');
+const FileFeed = require('./feeds/file');
+
+// Quote sources the hub can serve, by settings name
+const FEEDS = {
+  demo: {
+    label: 'Demo quotes',
+    create: function () {
+      return new Demo();
+    }
+  },
+  file: {
+    label: 'Local data files',
+    create: function (settings) {
+      return new FileFeed({directory: settings.dataDirectory});
+    }
+  }
+};
+
+var settingsStore = null;
+
+// emits 'change' with (settings, changed) after every update
+var events = new EventEmitter();
+
+function defaults() {
+  return {
+    defaultTemplate: 'advanced',
+    defaultSymbol: 'AAPL',
+    theme: 'Light',
+    timezone: null, // the computer's own
+    language: 'en',
+    dataDirectory: path.join(app.getPath('userData'), 'data'),
+    quoteFeed: 'demo',
+    poolSize: 1, // chart pages kept loaded ahead of time, see pool.js
+    idleMinutes: 10 // before a parked window, one closed but kept loaded, is destroyed
+  };
+}
+
+// settings.json in the userData directory, created once the app is ready
+function getStore() {
+  if (!settingsStore) settingsStore = new store.Store('settings');
+  return settingsStore;
+}
+
+/**
+ * Returns every setting, with defaults for the ones that were never set
+ * @return {Object} {defaultTemplate, defaultSymbol, theme, timezone, language, dataDirectory, quoteFeed, poolSize, idleMinutes}
+ */
+function get() {
+  var settings = defaults();
+  var saved = getStore().data;
+  for (var name in settings) {
+    if (saved.hasOwnProperty(name)) settings[name] = saved[name];
+  }
+  return settings;
+}
+
+/**
+ * Saves settings and sends them to every open window as 'settings-changed' (settings, changed).
+ * Unknown names are ignored.
+ * @param {Object} changes Settings by name. Null restores the default.
+ */
+function set(changes) {
+  var known = defaults();
+  var changed = {};
+  for (var name in changes) {
+    if (!known.hasOwnProperty(name)) continue;
+    if (changes[name] !== null && name === 'quoteFeed' && !FEEDS[changes[name]]) continue;
+    if (changes[name] !== null && name === 'defaultTemplate' && !windows.getTemplate(changes[name])) continue;
+    if (changes[name] !== null && typeof known[name] === 'number' && !(Number(changes[name]) >= 0)) continue;
+    changed[name] = typeof known[name] === 'number' && changes[name] !== null ? Number(changes[name]) : changes[name];
+  }
+  if (!Object.keys(changed).length) return;
+  for (name in changed) {
+    if (changed[name] === null) delete getStore().data[name];
+    else getStore().data[name] = changed[name];
+  }
+  getStore().write();
+
+  var settings = get();
+  if (changed.hasOwnProperty('quoteFeed') || (changed.hasOwnProperty('dataDirectory') && settings.quoteFeed === 'file')) {
+    applyQuoteFeed(settings);
+  }
+  BrowserWindow.getAllWindows().forEach(function (win) {
+    win.webContents.send('settings-changed', settings, changed);
+  });
+  events.emit('change', settings, changed);
+}
+
+function applyQuoteFeed(settings) {
+  quotes.setSource(FEEDS[settings.quoteFeed].create(settings));
+}
+
+/**
+ * Points the quote hub at the feed chosen in the settings. Call once the app is ready.
+ */
+function init() {
+  var settings = get();
+  if (settings.quoteFeed !== 'demo') applyQuoteFeed(settings);
+}
+
+function on(event, listener) {
+  events.on(event, listener);
+}
+
+ipcMain.on('settings-get', function (event) {
+  event.returnValue = get();
+});
+
+// what the preferences window offers
+ipcMain.on('settings-choices', function (event) {
+  event.returnValue = {
+    templates: windows.list().filter(function (template) {
+      return template.deepLink;
+    }).map(function (template) {
+      return {name: template.name, label: template.label};
+    }),
+    feeds: Object.keys(FEEDS).map(function (name) {
+      return {name: name, label: FEEDS[name].label};
+    })
+  };
+});
+
+ipcMain.on('settings-set', function (event, changes) {
+  set(changes);
+});
+
+module.exports = {
+  get: get,
+  set: set,
+  init: init,
+  on: on
+};
@@ -0,0 +1,188 @@
+const {ipcMain} = require('electron');
+const quotes = require('./quotes');
+const settings = require('./settings');
+
+// Quote snapshots for grids (see ag-grid.js): last, change, bid/ask, volume and the day and 52-week
+// ranges by symbol. They start from the daily history and follow the minute bars the quote hub polls,
+// once per symbol however many windows show it.
+
+// daily bars in a year
+const YEAR = 252;
+
+// {snapshot, stop, windows: {webContentsId: webContents}} by symbol
+var followed = {};
+
+// the symbols each window watches, by webContents id
+var watching = {};
+
+// snapshots waiting to be sent, by webContents id. Updates that arrive together go in one message.
+var outbox = {};
+var flushing = false;
+
+function flush() {
+  flushing = false;
+  var boxes = outbox;
+  outbox = {};
+  for (var id in boxes) {
+    var box = boxes[id];
+    if (box.webContents.isDestroyed()) continue;
+    box.webContents.send('snapshot-update', Object.keys(box.snapshots).map(function (symbol) {
+      return box.snapshots[symbol];
+    }));
+  }
+}
+
+function send(webContents, snapshot) {
+  if (!outbox[webContents.id]) outbox[webContents.id] = {webContents: webContents, snapshots: {}};
+  outbox[webContents.id].snapshots[snapshot.symbol] = snapshot;
+  if (!flushing) {
+    flushing = true;
+    setImmediate(flush);
+  }
+}
+
+function publish(entry) {
+  for (var id in entry.windows) {
+    send(entry.windows[id], entry.snapshot);
+  }
+}
+
+function round(n, places) {
+  var factor = Math.pow(10, places);
+  return Math.round(n * factor) / factor;
+}
+
+function changes(snapshot) {
+  var base = snapshot.prevClose;
+  if (snapshot.last === null || !base) return;
+  snapshot.change = round(snapshot.last - base, 4);
+  snapshot.changePercent = round((snapshot.last - base) / base * 100, 2);
+}
+
+function fromDaily(symbol, bars) {
+  var today = bars[bars.length - 1];
+  var year = bars.slice(-YEAR);
+  var snapshot = {
+    symbol: symbol,
+    last: today.Close,
+    prevClose: bars.length > 1 ? bars[bars.length - 2].Close : null,
+    change: null,
+    changePercent: null,
+    bid: today.Bid === undefined ? null : today.Bid,
+    ask: today.Ask === undefined ? null : today.Ask,
+    volume: today.Volume || 0,
+    high: today.High,
+    low: today.Low,
+    high52: Math.max.apply(null, year.map(function (bar) {
+      return bar.High;
+    })),
+    low52: Math.min.apply(null, year.map(function (bar) {
+      return bar.Low;
+    })),
+    time: Date.now(),
+    error: null
+  };
+  changes(snapshot);
+  return snapshot;
+}
+
+// applies new minute bars. A bar with the time of the previous one replaces it.
+function applyBars(entry, bars) {
+  var snapshot = Object.assign({}, entry.snapshot);
+  bars.forEach(function (bar) {
+    if (entry.lastBar && entry.lastBar.DT === bar.DT) snapshot.volume -= entry.lastBar.Volume || 0;
+    entry.lastBar = bar;
+    snapshot.last = bar.Close;
+    snapshot.volume += bar.Volume || 0;
+    snapshot.high = Math.max(snapshot.high, bar.High);
+    snapshot.low = Math.min(snapshot.low, bar.Low);
+    snapshot.high52 = Math.max(snapshot.high52, bar.High);
+    snapshot.low52 = Math.min(snapshot.low52, bar.Low);
+    if (bar.Bid !== undefined) snapshot.bid = bar.Bid;
+    if (bar.Ask !== undefined) snapshot.ask = bar.Ask;
+  });
+  changes(snapshot);
+  snapshot.time = Date.now();
+  entry.snapshot = snapshot;
+  publish(entry);
+}
+
+function start(symbol) {
+  var entry = followed[symbol] = {
+    snapshot: {symbol: symbol, last: null, time: null, error: null},
+    stop: null,
+    lastBar: null,
+    windows: {}
+  };
+  quotes.fetch({symbol: symbol, period: 1, interval: 'day', ticks: YEAR}, function (result) {
+    if (followed[symbol] !== entry) return; // stopped while loading
+    if (result.error || !result.quotes || !result.quotes.length) {
+      entry.snapshot = Object.assign({}, entry.snapshot, {error: String(result.error || 'No quotes')});
+      publish(entry);
+      return;
+    }
+    entry.snapshot = fromDaily(symbol, result.quotes);
+    publish(entry);
+    entry.stop = quotes.follow({symbol: symbol, period: 1, interval: 'minute'}, function (update) {
+      if (update.quotes && update.quotes.length) applyBars(entry, update.quotes);
+    });
+  });
+  return entry;
+}
+
+function stop(symbol) {
+  var entry = followed[symbol];
+  if (entry.stop) entry.stop();
+  delete followed[symbol];
+}
+
+// drops a window from the symbols it watches, except those it keeps
+function release(id, keep) {
+  (watching[id] || []).forEach(function (symbol) {
+    if (keep.indexOf(symbol) > -1 || !followed[symbol]) return;
+    delete followed[symbol].windows[id];
+    if (!Object.keys(followed[symbol].windows).length) stop(symbol);
+  });
+}
+
+/**
+ * Sets the symbols a window gets snapshots for, replacing those it asked for before. Each symbol's
+ * current snapshot is sent straight away, and again whenever it changes, as 'snapshot-update'.
+ * @param {WebContents} webContents
+ * @param {Array} symbols
+ */
+function watch(webContents, symbols) {
+  var id = webContents.id;
+  if (!watching[id]) {
+    webContents.once('destroyed', function () {
+      release(id, []);
+      delete watching[id];
+    });
+  }
+  release(id, symbols);
+  watching[id] = symbols.slice();
+  symbols.forEach(function (symbol) {
+    var entry = followed[symbol] || start(symbol);
+    entry.windows[id] = webContents;
+    if (entry.snapshot.time || entry.snapshot.error) send(webContents, entry.snapshot);
+  });
+}
+
+// snapshots from another quote source start over
+settings.on('change', function (current, changed) {
+  if (!('quoteFeed' in changed) && !('dataDirectory' in changed)) return;
+  Object.keys(followed).forEach(function (symbol) {
+    var windows = followed[symbol].windows;
+    stop(symbol);
+    var entry = start(symbol);
+    entry.windows = windows;
+  });
+});
+
+ipcMain.on('snapshot-watch', function (event, symbols) {
+  watch(event.sender, symbols);
+});
+
+module.exports = {
+  watch: watch
+};
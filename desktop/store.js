@@ -0,0 +1,65 @@
+const {app, ipcMain} = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Name/value store persisted as a JSON file in the userData directory. Renderers
+ * reach it through the store-get/store-set/store-remove messages (see STX.Desktop.NameValueStore).
+ * @param {String} name File name without extension
+ */
+function Store(name) {
+  this.file = path.join(app.getPath('userData'), name + '.json');
+  this.data = {};
+  try {
+    this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  } catch (e) {
+    // first launch, or a damaged file that will be rewritten
+  }
+}
+
+Store.prototype.get = function (key) {
+  return this.data.hasOwnProperty(key) ? this.data[key] : null;
+};
+
+Store.prototype.set = function (key, value) {
+  this.data[key] = value;
+  this.write();
+};
+
+Store.prototype.remove = function (key) {
+  delete this.data[key];
+  this.write();
+};
+
+Store.prototype.write = function () {
+  try {
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  } catch (e) {
+    console.log('Cannot write ' + this.file + ': ' + e.message);
+  }
+};
+
+var store = null;
+
+// the shared store, created once the app is ready and userData exists
+function shared() {
+  if (!store) store = new Store('desktop');
+  return store;
+}
+
+ipcMain.on('store-get', function (event, key) {
+  event.returnValue = shared().get(key);
+});
+
+ipcMain.on('store-set', function (event, key, value) {
+  shared().set(key, value);
+});
+
+ipcMain.on('store-remove', function (event, key) {
+  shared().remove(key);
+});
+
+module.exports = {
+  Store: Store,
+  shared: shared
+};
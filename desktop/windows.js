@@ -0,0 +1,310 @@
+const {app, BrowserWindow, ipcMain} = require('electron');
+const EventEmitter = require('events');
+const path = require('path');
+const querystring = require('querystring');
+
+// Window templates by name, in the order they were registered
+var templates = {};
+var order = [];
+
+// Open windows by BrowserWindow id
+var instances = {};
+
+// Hidden windows that have loaded a template's page and wait to be opened, see warm()
+var pool = [];
+
+// emits 'open' with each new instance, 'change' when an instance's params change, 'park' when a
+// window is hidden instead of closed and 'closed' with the id of any window that is gone
+var events = new EventEmitter();
+
+var quitting = false;
+
+// Pages get no Node or Electron APIs, only the window.desktop bridge from preload.js
+const WEB_PREFERENCES = {
+  preload: path.join(__dirname, 'preload.js'),
+  nodeIntegration: false,
+  contextIsolation: true
+};
+
+/**
+ * Registers a window template.
+ * @param {String} name Unique template name, used by open-window
+ * @param {Object} template
+ * @param {String} template.file Html file relative to the app root
+ * @param {String} [template.label] Display name used in menus
+ * @param {String} [template.menu] Menu the template is listed under
+ * @param {Boolean} [template.multiple] Allow several independent instances
+ * @param {Number} [template.width]
+ * @param {Number} [template.height]
+ * @param {Boolean} [template.restore] Reopen the window's instances on the next launch (see session.js)
+ * @param {Boolean} [template.deepLink] The page loads stxdesk://chart links in place (see deeplinks.js)
+ * @param {Boolean} [template.pool] The page can be loaded ahead of time and opened later (see STX.Desktop.ready and pool.js)
+ * @param {Boolean} [template.park] Closing hides the window, and opening shows it again. Parked windows are
+ * destroyed after a while (see pool.js).
+ * @param {Object} [template.params] Query string parameters every window of the template opens with, for
+ * templates that share a page
+ */
+function register(name, template) {
+  if (!templates[name]) order.push(name);
+  templates[name] = Object.assign({
+    label: name,
+    menu: null,
+    multiple: false,
+    restore: false,
+    deepLink: false,
+    pool: false,
+    park: false,
+    params: null,
+    width: 1000,
+    height: 800
+  }, template, {name: name});
+}
+
+function getTemplate(name) {
+  return templates[name] || null;
+}
+
+function list() {
+  return order.map(function (name) {
+    return templates[name];
+  });
+}
+
+function createWindow(template, bounds) {
+  return new BrowserWindow(Object.assign({
+    width: template.width,
+    height: template.height,
+    title: template.label,
+    show: false,
+    frame: true,
+    webPreferences: WEB_PREFERENCES
+  }, bounds));
+}
+
+function buildURL(file, params) {
+  var url = 'file://' + path.join(__dirname, '..', file);
+  var qs = querystring.stringify(params);
+  return qs ? url + '?' + qs : url;
+}
+
+/**
+ * Opens a window from a registered template. Templates that don't allow multiple
+ * instances bring their existing window to the front instead.
+ * @param {String} name Template name
+ * @param {Object} [params] Passed to the page as query string parameters (see STX.qs())
+ * @param {Object} [options]
+ * @param {String} [options.key] Identifies the window across launches. Generated if not supplied.
+ * @param {Object} [options.bounds] Initial {x, y, width, height}
+ * @param {Boolean} [options.maximized] Maximize the window when shown
+ * @return {BrowserWindow} The window
+ * @throws {Error} If the template is unknown, see getTemplate
+ */
+function open(name, params, options) {
+  var template = templates[name];
+  if (!template) throw new Error('Unknown window template: ' + name);
+  params = Object.assign({}, template.params, params);
+  options = options || {};
+
+  if (!template.multiple) {
+    var existing = find(function (instance) {
+      return instance.template === name;
+    })[0];
+    if (existing) {
+      existing.parked = false;
+      existing.win.show();
+      existing.win.focus();
+      return existing.win;
+    }
+  }
+
+  var warmed = takeWarm(name);
+  var win = warmed || createWindow(template, options.bounds);
+  var id = win.id;
+  var key = options.key || name + '-' + Date.now().toString(36) + '-' + id;
+
+  instances[id] = {
+    id: id,
+    key: key,
+    template: name,
+    params: params,
+    parked: false,
+    win: win
+  };
+
+  function show() {
+    if (options.maximized) win.maximize();
+    win.show();
+  }
+  win.on('close', function (event) {
+    if (!template.park || quitting) return;
+    // keep the page loaded for the next open
+    event.preventDefault();
+    instances[id].parked = true;
+    win.hide();
+    events.emit('park', instances[id]);
+  });
+  win.on('closed', function () {
+    delete instances[id];
+  });
+
+  events.emit('open', instances[id]);
+  var query = Object.assign({windowId: id, windowKey: key}, params);
+  if (warmed) {
+    if (options.bounds && options.bounds.x !== undefined) win.setBounds(options.bounds);
+    else if (options.bounds) win.setSize(options.bounds.width, options.bounds.height);
+    else win.center();
+    win.webContents.send('window-assign', query);
+    show();
+  } else {
+    win.once('ready-to-show', show);
+    win.loadURL(buildURL(template.file, query));
+  }
+  return win;
+}
+
+/**
+ * Loads a window's page again with the parameters it has now, for instance after its renderer crashed
+ * @param {Object} instance
+ */
+function reload(instance) {
+  var template = templates[instance.template];
+  instance.win.loadURL(buildURL(template.file, Object.assign({windowId: instance.id, windowKey: instance.key}, instance.params)));
+}
+
+/**
+ * Loads a template's page into a hidden window, so that the next open of the template only has to
+ * load a symbol. The page waits for its window key and parameters, see STX.Desktop.ready.
+ * @param {String} name Template name. The template must allow pooling.
+ * @return {BrowserWindow} The hidden window, or null if the template can't be pooled
+ */
+function warm(name) {
+  var template = templates[name];
+  if (!template || !template.pool || !template.multiple) return null;
+  var win = createWindow(template);
+  var entry = {template: name, win: win, created: Date.now()};
+  pool.push(entry);
+  win.on('closed', function () {
+    pool = pool.filter(function (e) {
+      return e !== entry;
+    });
+  });
+  win.loadURL(buildURL(template.file, {windowId: win.id, pooled: 1}));
+  return win;
+}
+
+// the oldest warm window of a template whose page has finished loading
+function takeWarm(name) {
+  for (var i = 0; i < pool.length; i++) {
+    var entry = pool[i];
+    if (entry.template !== name || entry.win.webContents.isLoading()) continue;
+    pool.splice(i, 1);
+    return entry.win;
+  }
+  return null;
+}
+
+/**
+ * Returns the warm windows that pass the filter
+ * @param {Function} [filter] Called with each {template, win, created}
+ * @return {Array}
+ */
+function warmed(filter) {
+  return pool.filter(function (entry) {
+    return !filter || filter(entry);
+  });
+}
+
+/**
+ * Returns the open window instances that pass the filter
+ * @param {Function} [filter] Called with each instance ({id, key, template, params, win})
+ * @return {Array}
+ */
+function find(filter) {
+  var result = [];
+  for (var id in instances) {
+    if (!filter || filter(instances[id])) result.push(instances[id]);
+  }
+  return result;
+}
+
+/**
+ * Updates the params of an open window. They are what the window is reopened with (see session.js).
+ * @param {Object} instance
+ * @param {Object} params Merged into instance.params. Null values are removed.
+ */
+function update(instance, params) {
+  for (var key in params) {
+    if (params[key] === null || params[key] === undefined) delete instance.params[key];
+    else instance.params[key] = params[key];
+  }
+  events.emit('change', instance);
+}
+
+function get(id) {
+  return instances[id] || null;
+}
+
+function fromWebContents(webContents) {
+  var win = BrowserWindow.fromWebContents(webContents);
+  return win ? get(win.id) : null;
+}
+
+// every window closes for real when the app quits, parked ones included
+app.on('before-quit', function () {
+  quitting = true;
+});
+
+// every BrowserWindow, the main window included, see pool.js
+app.on('browser-window-created', function (event, win) {
+  var id = win.id;
+  win.on('closed', function () {
+    events.emit('closed', id);
+  });
+});
+
+ipcMain.on('open-window', function (event, name, params) {
+  if (getTemplate(name)) {
+    open(name, params);
+    return;
+  }
+  // required here, diagnostics.js requires this module
+  require('./diagnostics').add({
+    level: 'error',
+    subsystem: 'app',
+    message: 'Unknown window template: ' + name,
+    details: {params: params}
+  }, BrowserWindow.fromWebContents(event.sender));
+});
+
+// another window of the sender's template, for instance a chart opened from a chart's context menu
+ipcMain.on('duplicate-window', function (event, params) {
+  var instance = fromWebContents(event.sender);
+  if (instance) open(instance.template, params);
+});
+
+ipcMain.on('close-window', function (event) {
+  var instance = fromWebContents(event.sender);
+  if (instance) instance.win.close();
+});
+
+ipcMain.on('window-templates', function (event) {
+  event.returnValue = list().map(function (template) {
+    return {name: template.name, label: template.label, menu: template.menu};
+  });
+});
+
+module.exports = {
+  register: register,
+  getTemplate: getTemplate,
+  list: list,
+  open: open,
+  reload: reload,
+  warm: warm,
+  warmed: warmed,
+  find: find,
+  update: update,
+  get: get,
+  fromWebContents: fromWebContents,
+  on: events.on.bind(events),
+  WEB_PREFERENCES: WEB_PREFERENCES
+};
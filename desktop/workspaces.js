@@ -0,0 +1,272 @@
+const {app, dialog, ipcMain} = require('electron');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const windows = require('./windows');
+const session = require('./session');
+const store = require('./store');
+
+const EXTENSION = 'stxworkspace';
+const FILTERS = [{name: 'Workspaces', extensions: [EXTENSION]}];
+
+// Format of the workspace file. Bump when it changes incompatibly.
+const VERSION = 1;
+
+// Most recently used workspace files, newest first
+const RECENT_KEY = 'recentWorkspaces';
+const MAX_RECENT = 10;
+
+// How long a save waits for each window to describe itself
+const COLLECT_TIMEOUT = 2000;
+
+// The file the desktop was last saved to or opened from
+var current = null;
+
+// State from an opened workspace by window key, handed to each window once it loads
+var pending = {};
+
+// Saves waiting for window states, by request id
+var collecting = {};
+var nextId = 0;
+
+// emits 'recent' when the list of recent workspaces changes
+var events = new EventEmitter();
+
+function recent() {
+  return store.shared().get(RECENT_KEY) || [];
+}
+
+function addRecent(file) {
+  var list = recent().filter(function (f) {
+    return f !== file;
+  });
+  list.unshift(file);
+  store.shared().set(RECENT_KEY, list.slice(0, MAX_RECENT));
+  events.emit('recent', recent());
+}
+
+function removeRecent(file) {
+  store.shared().set(RECENT_KEY, recent().filter(function (f) {
+    return f !== file;
+  }));
+  events.emit('recent', recent());
+}
+
+function clearRecent() {
+  store.shared().set(RECENT_KEY, []);
+  events.emit('recent', []);
+}
+
+// the windows a workspace is made of, the same ones a session restores
+function workspaceWindows() {
+  return windows.find(function (instance) {
+    return windows.getTemplate(instance.template).restore;
+  });
+}
+
+// closes the workspace windows and calls back once they are gone, so that reopened
+// windows with the same keys aren't forgotten by the session as the old ones close
+function closeAll(cb) {
+  var list = workspaceWindows();
+  var remaining = list.length;
+  if (!remaining) {
+    cb();
+    return;
+  }
+  list.forEach(function (instance) {
+    instance.win.once('closed', function () {
+      if (--remaining === 0) cb();
+    });
+    instance.win.close();
+  });
+}
+
+/**
+ * Asks every window for its state: layout, drawings, comparisons, watchlists, grid columns.
+ * Windows that don't answer in time are saved without state.
+ * @param {Function} cb Called with the states by window key
+ */
+function collect(cb) {
+  var list = workspaceWindows();
+  var states = {};
+  var remaining = list.length;
+  var id = ++nextId;
+  var timeout = null;
+  function finish() {
+    clearTimeout(timeout);
+    delete collecting[id];
+    cb(states);
+  }
+  if (!remaining) {
+    finish();
+    return;
+  }
+  collecting[id] = function (instance, state) {
+    if (!instance || states.hasOwnProperty(instance.key)) return;
+    states[instance.key] = state;
+    if (--remaining === 0) finish();
+  };
+  timeout = setTimeout(finish, COLLECT_TIMEOUT);
+  list.forEach(function (instance) {
+    instance.win.webContents.send('workspace-collect', id);
+  });
+}
+
+/**
+ * Saves every chart and grid window to a workspace file
+ * @param {String} file
+ * @param {Function} [cb] Called with an error, or null once written
+ */
+function save(file, cb) {
+  collect(function (states) {
+    var workspace = {
+      version: VERSION,
+      windows: workspaceWindows().map(function (instance) {
+        var entry = session.describe(instance);
+        entry.state = states[instance.key] || null;
+        return entry;
+      })
+    };
+    fs.writeFile(file, JSON.stringify(workspace, null, 2), function (err) {
+      if (!err) {
+        current = file;
+        addRecent(file);
+      }
+      if (cb) cb(err || null);
+    });
+  });
+}
+
+/**
+ * Replaces the open chart and grid windows with those of a workspace file
+ * @param {String} file
+ * @param {Function} [cb] Called with an error, or null once the windows are opening
+ */
+function open(file, cb) {
+  fs.readFile(file, 'utf8', function (err, text) {
+    var workspace = null;
+    if (!err) {
+      try {
+        workspace = JSON.parse(text);
+        if (!workspace.windows) err = new Error('Not a workspace file');
+        else if (workspace.version > VERSION) err = new Error('Saved by a newer version of the app');
+      } catch (e) {
+        err = e;
+      }
+    }
+    if (err) {
+      if (err.code === 'ENOENT') removeRecent(file);
+      if (cb) cb(err);
+      return;
+    }
+    closeAll(function () {
+      pending = {};
+      workspace.windows.forEach(function (entry) {
+        if (!windows.getTemplate(entry.template)) return;
+        var state = entry.state || {};
+        // charts pick their layout up through the session, the rest through workspace-restore
+        if (state.layout) session.saveLayout(entry.key, state.layout, state.symbol || null);
+        pending[entry.key] = state;
+        windows.open(entry.template, entry.params, {
+          key: entry.key,
+          bounds: session.validBounds(entry),
+          maximized: entry.maximized
+        });
+      });
+      current = file;
+      addRecent(file);
+      if (cb) cb(null);
+    });
+  });
+}
+
+/**
+ * Hands state to a window the next time it loads, as if it had been opened from a workspace file
+ * @param {String} key Window key
+ * @param {Object} state As saved in a workspace file, e.g. {drawings}
+ */
+function stage(key, state) {
+  pending[key] = state;
+}
+
+function on(event, listener) {
+  events.on(event, listener);
+}
+
+function report(err, file) {
+  if (err) dialog.showErrorBox('Workspace', 'Cannot use ' + file + '\n' + err.message);
+}
+
+/**
+ * Asks for a workspace file and opens it
+ * @param {BrowserWindow} [parent]
+ */
+function openDialog(parent) {
+  dialog.showOpenDialog(parent, {
+    title: 'Open Workspace',
+    properties: ['openFile'],
+    filters: FILTERS
+  }).then(function (result) {
+    if (result.canceled || !result.filePaths.length) return;
+    var file = result.filePaths[0];
+    open(file, function (err) {
+      report(err, file);
+    });
+  });
+}
+
+/**
+ * Asks where to save the workspace and saves it
+ * @param {BrowserWindow} [parent]
+ */
+function saveAsDialog(parent) {
+  dialog.showSaveDialog(parent, {
+    title: 'Save Workspace',
+    defaultPath: current || path.join(app.getPath('documents'), 'Workspace.' + EXTENSION),
+    filters: FILTERS
+  }).then(function (result) {
+    if (result.canceled || !result.filePath) return;
+    save(result.filePath, function (err) {
+      report(err, result.filePath);
+    });
+  });
+}
+
+/**
+ * Saves to the current workspace file, asking for one if there is none yet
+ * @param {BrowserWindow} [parent]
+ */
+function saveDialog(parent) {
+  if (!current) {
+    saveAsDialog(parent);
+    return;
+  }
+  save(current, function (err) {
+    report(err, current);
+  });
+}
+
+ipcMain.on('workspace-state', function (event, id, state) {
+  if (collecting[id]) collecting[id](windows.fromWebContents(event.sender), state);
+});
+
+ipcMain.on('workspace-restore', function (event) {
+  var instance = windows.fromWebContents(event.sender);
+  var state = instance ? pending[instance.key] : null;
+  if (instance) delete pending[instance.key];
+  event.returnValue = state || null;
+});
+
+module.exports = {
+  EXTENSION: EXTENSION,
+  save: save,
+  open: open,
+  openDialog: openDialog,
+  saveDialog: saveDialog,
+  saveAsDialog: saveAsDialog,
+  stage: stage,
+  recent: recent,
+  clearRecent: clearRecent,
+  report: report,
+  on: on
+};
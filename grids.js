@@ -0,0 +1,263 @@
+// Helpers the ag-grid windows share (ag-grid.html, blotter.html, screener.html, dashboard.html). Pages load it before
+// their own script.
+
+// [{name, symbols}] as the charts saved them (STX.Watch, in STX.StorageManager)
+function watchLists() {
+    var lists = [];
+    try {
+        lists = JSON.parse(STX.StorageManager.get('stx-watchLists')) || [];
+    } catch (e) {
+        window.desktop.diagnostics.log({level: 'warn', subsystem: 'app', message: 'Cannot read the watch lists', details: {error: e.message}});
+    }
+    return lists.map(function(list) {
+        var name = STX.first(list);
+        return {name: name, symbols: list[name]};
+    });
+}
+
+// a cell value as the user's locale writes it
+function formatGridValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return isNaN(value) ? '' : value.toLocaleString(undefined, {maximumFractionDigits: 8});
+    if (value instanceof Date) return value.toLocaleString();
+    return String(value);
+}
+
+/**
+ * The rows the grid shows, in its current sort and filter, with its displayed columns in order
+ * @param {Object} gridOptions
+ * @param {String} name Name of the export, such as the default file name
+ * @return {Object} {name, columns, rows} for desktop.exporting.provide
+ */
+function gridTable(gridOptions, name) {
+    // columns that only hold buttons have neither a field nor a value getter
+    var columns = gridOptions.columnApi.getAllDisplayedColumns().filter(function(column) {
+        var colDef = column.getColDef();
+        return colDef.field || colDef.valueGetter;
+    });
+    var rows = [];
+    gridOptions.api.forEachNodeAfterFilterAndSort(function(node) {
+        if (node.group) return;
+        rows.push(columns.map(function(column) {
+            return formatGridValue(gridOptions.api.getValue(column, node));
+        }));
+    });
+    return {
+        name: name,
+        columns: columns.map(function(column) {
+            return column.getColDef().headerName || column.getColId();
+        }),
+        rows: rows
+    };
+}
+
+// File > Export CSV and Copy Data export what the grid shows
+function provideGridExport(gridOptions, name) {
+    window.desktop.exporting.provide(function() {
+        return gridTable(gridOptions, typeof name === 'function' ? name() : name);
+    });
+}
+
+// Grid views
+
+// the columns (order, widths, pinned and hidden), sort and filter of a grid
+function gridColumnsState(gridOptions) {
+    return {
+        columns: gridOptions.columnApi.getColumnState(),
+        sort: gridOptions.api.getSortModel(),
+        filter: gridOptions.api.getFilterModel()
+    };
+}
+
+function applyGridColumnsState(gridOptions, state) {
+    if (!state) return;
+    if (state.columns) gridOptions.columnApi.setColumnState(state.columns);
+    if (state.sort) gridOptions.api.setSortModel(state.sort);
+    if (state.filter) gridOptions.api.setFilterModel(state.filter);
+}
+
+// the grid events that change what gridColumnsState returns
+var GRID_STATE_EVENTS = ['columnMoved', 'columnResized', 'columnVisible', 'columnPinned', 'sortChanged', 'filterChanged'];
+
+/**
+ * Keeps a grid's columns, sort and filter in STX.StorageManager as the user changes them, so the grid comes back
+ * as it was left, and the named views the user saves and switches between. Stored under "stx-gridViews-" + key
+ * as {state, view, views: {name: state}}, shared by the windows of the same grid. New column definitions reset
+ * ag-grid's columns, so the stored state is applied again when they load. persistGridViews shows the views in a
+ * page's toolbar, and the GridViews component (ag-grid/gridViews.js) in a React grid's.
+ * @param {Object} gridOptions The grid's options, or the {api, columnApi} onGridReady gives
+ * @param {String|Function} key Names the grid, such as "quoteGrid". A function is asked again whenever new columns
+ * load, for a grid whose columns depend on what it shows: each set of columns keeps its own views.
+ * @param {Function} onChange Called with the stored {state, view, views} when it changes, here or in another window
+ * @return {Object} {load, select(name), save(name), remove(name), detach}
+ */
+function gridViews(gridOptions, key, onChange) {
+    function name() {
+        return typeof key === 'function' ? key() : key;
+    }
+
+    function storageKey() {
+        return 'stx-gridViews-' + name();
+    }
+
+    // true while a view is applied, so the events that causes don't count as the user changing it
+    var applying = false;
+
+    function load() {
+        var stored = null;
+        try {
+            stored = JSON.parse(STX.StorageManager.get(storageKey()));
+        } catch (e) {
+            window.desktop.diagnostics.log({
+                level: 'warn',
+                subsystem: 'app',
+                message: 'Cannot read the grid views of ' + name(),
+                details: {error: e.message}
+            });
+        }
+        return Object.assign({state: null, view: null, views: {}}, stored);
+    }
+
+    function store(stored) {
+        STX.StorageManager.store(storageKey(), JSON.stringify(stored));
+        onChange(stored);
+    }
+
+    function apply(state) {
+        applying = true;
+        try {
+            applyGridColumnsState(gridOptions, state);
+        } finally {
+            applying = false;
+        }
+    }
+
+    // a change of the user's own leaves the view it started from, which keeps what was saved
+    function stateChanged() {
+        if (applying) return;
+        var stored = load();
+        stored.state = gridColumnsState(gridOptions);
+        stored.view = null;
+        store(stored);
+    }
+
+    // the key may have changed with the columns, and the views with it
+    function columnsLoaded() {
+        var stored = load();
+        apply(stored.state);
+        onChange(stored);
+    }
+
+    // another window of the grid saved or deleted a view
+    function storage(event) {
+        if (event.key === storageKey()) onChange(load());
+    }
+
+    GRID_STATE_EVENTS.forEach(function(type) {
+        gridOptions.api.addEventListener(type, stateChanged);
+    });
+    gridOptions.api.addEventListener('newColumnsLoaded', columnsLoaded);
+    window.addEventListener('storage', storage);
+    apply(load().state);
+
+    return {
+        load: load,
+        select: function(name) {
+            var stored = load();
+            if (!stored.views[name]) return;
+            apply(stored.views[name]);
+            stored.view = name;
+            stored.state = gridColumnsState(gridOptions);
+            store(stored);
+        },
+        save: function(name) {
+            var stored = load();
+            stored.views[name] = stored.state = gridColumnsState(gridOptions);
+            stored.view = name;
+            store(stored);
+        },
+        remove: function(name) {
+            var stored = load();
+            delete stored.views[name];
+            if (stored.view === name) stored.view = null;
+            store(stored);
+        },
+        detach: function() {
+            GRID_STATE_EVENTS.forEach(function(type) {
+                gridOptions.api.removeEventListener(type, stateChanged);
+            });
+            gridOptions.api.removeEventListener('newColumnsLoaded', columnsLoaded);
+            window.removeEventListener('storage', storage);
+        }
+    };
+}
+
+/**
+ * Keeps a grid's views (see gridViews), with a View menu and its buttons in the page's toolbar.
+ * Call from onGridReady. A workspace's saved state, applied after, takes precedence.
+ * @param {Object} gridOptions
+ * @param {String|Function} key Names the grid, such as "quoteGrid", see gridViews
+ * @param {HTMLElement} toolbar Where the View menu and its buttons go
+ */
+function persistGridViews(gridOptions, key, toolbar) {
+    var eSelect = document.createElement('select');
+    var eSave = document.createElement('button');
+    var eName = document.createElement('input');
+    var eDelete = document.createElement('button');
+    var eLabel = document.createElement('label');
+    eLabel.textContent = 'View ';
+    eLabel.appendChild(eSelect);
+    eSave.textContent = 'Save View…';
+    eDelete.textContent = 'Delete View';
+    eName.type = 'text';
+    eName.placeholder = 'View name';
+    eName.style.display = 'none';
+    [eLabel, eSave, eName, eDelete].forEach(function(el) {
+        el.style.marginLeft = '8px';
+        toolbar.appendChild(el);
+    });
+
+    function showViews(stored) {
+        eSelect.innerHTML = '';
+        [''].concat(Object.keys(stored.views).sort()).forEach(function(name) {
+            var option = document.createElement('option');
+            option.value = name;
+            option.textContent = name || 'Unsaved';
+            eSelect.appendChild(option);
+        });
+        eSelect.value = stored.view && stored.views[stored.view] ? stored.view : '';
+        eDelete.disabled = !eSelect.value;
+    }
+
+    var views = gridViews(gridOptions, key, showViews);
+
+    eSelect.addEventListener('change', function() {
+        views.select(eSelect.value);
+    });
+
+    eSave.addEventListener('click', function() {
+        eName.value = eSelect.value;
+        eName.style.display = '';
+        eName.focus();
+        eName.select();
+    });
+
+    eName.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') eName.blur();
+        if (e.key !== 'Enter') return;
+        var name = eName.value.trim();
+        if (!name) return;
+        views.save(name);
+        eName.blur();
+    });
+
+    eName.addEventListener('blur', function() {
+        eName.style.display = 'none';
+    });
+
+    eDelete.addEventListener('click', function() {
+        views.remove(eSelect.value);
+    });
+
+    showViews(views.load());
+}
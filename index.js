@@ -1,139 +1,82 @@
-const electron = require('electron');
-const {app} = electron;
-const {ipcMain} = require('electron')
-const {BrowserWindow} = require('electron')
-
-
-//loads main window
-app.on('ready', function(){
-  let win = new BrowserWindow({width: 800, height: 600})
-  win.on('closed', () => {
-  win = null
-});
-
-win.loadURL('file://'+__dirname + '/index.html');
-win.openDevTools();
-
-//loads standard chart
-var prefsWindow = new BrowserWindow({
-  width: 1000,
-  height: 800,
-  show: false,
-  frame: true,
-});
-
-prefsWindow.loadURL('file://'+__dirname + '/stx-standard.html');
-
-ipcMain.on('show-prefs', function (){
-  prefsWindow.show();
-})
-ipcMain.on('hide-prefs', function (){
-  prefsWindow.hide();
-})
-
-//loads quickstart chart
-var quickstart = new BrowserWindow({
-  width: 1000,
-  height: 800,
-  show: false,
-  frame: true,
-});
-
-quickstart.loadURL('file://'+__dirname + '/stx-quickstart.html');
-
-ipcMain.on('show-quickstart', function (){
-  quickstart.show();
-})
-ipcMain.on('hide-quickstart', function (){
-  quickstart.hide();
-})
-
-
-//loads Basic Chart
-var basic = new BrowserWindow({
-  width: 1000,
-  height: 800,
-  show: false,
-  frame: true,
-});
-
-basic.loadURL('file://'+__dirname + '/stx-basic.html');
-
-ipcMain.on('show-basic', function (){
-  basic.show();
-})
-ipcMain.on('hide-basic', function (){
-  basic.hide();
-})
-
-//loads advanced chart
-var advanced = new BrowserWindow({
-  width: 1000,
-  height: 800,
-  show: false,
-  frame: true,
-});
-
-advanced.loadURL('file://'+__dirname + '/stx-advanced.html');
-
-ipcMain.on('show-advanced', function (){
-  advanced.show();
-})
-ipcMain.on('hide-advanced', function (){
-  advanced.hide();
-})
-
-//loads nothing this is broken ...
-var chartiq = new BrowserWindow({
-  width: 1000,
-  height: 800,
-  show: false,
-  frame: true,
-});
-
-chartiq.loadURL('file://'+__dirname + '/chartiq.html');
-
-ipcMain.on('show-chartiq', function (){
-  chartiq.show();
-})
-ipcMain.on('hide-chartiq', function (){
-  chatiq.hide();
-})
-
-
-//loads "phone" chart partially, does not include the bottom buttons
-var phone = new BrowserWindow({
-  width: 1000,
-  height: 800,
-  show: false,
-  frame: true,
-});
-
-phone.loadURL('file://'+__dirname + '/stx-phone.html');
-
-ipcMain.on('show-phone', function (){
-  phone.show();
-})
-ipcMain.on('hide-phone', function (){
-  phone.hide();
-})
-
-//loads nothing this is broken ...
-var agGrid = new BrowserWindow({
-  width: 1000,
-  height: 800,
-  show: false,
-  frame: true,
-});
-
-agGrid.loadURL('file://'+__dirname + '/ag-grid.html');
-
-ipcMain.on('show-agGrid', function (){
-  agGrid.show();
-  agGrid.openDevTools();
-})
-ipcMain.on('hide-agGrid', function (){
-  agGrid.hide();
-})
-
-});
+const electron = require('electron');
+const {app} = electron;
+const {BrowserWindow} = require('electron')
+const windows = require('./desktop/windows');
+const session = require('./desktop/session');
+const links = require('./desktop/links');
+const quotes = require('./desktop/quotes');
+const data = require('./desktop/data');
+const launch = require('./desktop/launch');
+const deeplinks = require('./desktop/deeplinks');
+const settings = require('./desktop/settings');
+const dialogs = require('./desktop/dialogs');
+const menu = require('./desktop/menu');
+const workspaces = require('./desktop/workspaces');
+const pool = require('./desktop/pool');
+const contextmenus = require('./desktop/contextmenus');
+const alerts = require('./desktop/alerts');
+const printing = require('./desktop/printing');
+const recovery = require('./desktop/recovery');
+const diagnostics = require('./desktop/diagnostics');
+const snapshots = require('./desktop/snapshots');
+const account = require('./desktop/account');
+const exporting = require('./desktop/exporting');
+
+windows.register('standard', {file: 'stx-standard.html', label: 'Standard Chart', menu: 'Charts', multiple: true, restore: true, deepLink: true, pool: true});
+windows.register('quickstart', {file: 'stx-quickstart.html', label: 'Quickstart', menu: 'Charts', multiple: true, restore: true});
+windows.register('basic', {file: 'stx-basic.html', label: 'Basic Chart', menu: 'Charts', multiple: true, restore: true, deepLink: true, pool: true});
+windows.register('advanced', {file: 'stx-advanced.html', label: 'Advanced Chart', menu: 'Charts', multiple: true, restore: true, deepLink: true, pool: true});
+//loads "phone" chart partially, does not include the bottom buttons
+windows.register('phone', {file: 'stx-phone.html', label: 'Phone', menu: 'Charts', multiple: true, restore: true, deepLink: true, pool: true});
+windows.register('chartiq', {file: 'chartiq.html', label: 'ChartIQ', menu: 'Charts', multiple: true, restore: true});
+windows.register('dashboard', {file: 'dashboard.html', label: 'Dashboard', menu: 'Charts', restore: true, width: 1400, height: 900});
+windows.register('agGrid', {file: 'ag-grid.html', label: 'Basic', menu: 'Quote Grid', restore: true});
+windows.register('positions', {file: 'blotter.html', label: 'Positions', menu: 'Trading', params: {view: 'positions'}, restore: true, width: 900, height: 400});
+windows.register('orders', {file: 'blotter.html', label: 'Open Orders', menu: 'Trading', params: {view: 'orders'}, restore: true, width: 900, height: 400});
+windows.register('trades', {file: 'blotter.html', label: 'Trades', menu: 'Trading', params: {view: 'trades'}, restore: true, width: 900, height: 400});
+windows.register('screener', {file: 'screener.html', label: 'Screener', menu: 'Tools', restore: true, width: 900, height: 500});
+windows.register('prefs', {file: 'prefs.html', label: 'Preferences', park: true, width: 600, height: 480});
+windows.register('diagnostics', {file: 'diagnostics.html', label: 'Diagnostics', menu: 'Tools', park: true, width: 900, height: 560});
+windows.register('print', {file: 'print.html', label: 'Print', multiple: true, width: 420, height: 300});
+
+//a second launch hands its command line to this instance and quits
+var isFirstInstance = app.requestSingleInstanceLock();
+if (!isFirstInstance) app.quit();
+app.on('second-instance', function (event, argv, workingDirectory) {
+  launch.secondInstance(argv, workingDirectory);
+});
+
+//what index.html shows about the app
+electron.ipcMain.on('app-info', function (event) {
+  event.returnValue = {name: app.getName(), version: app.getVersion(), versions: process.versions};
+});
+
+//loads main window
+app.on('ready', function(){
+  if (!isFirstInstance) return;
+  let win = new BrowserWindow({width: 800, height: 600, webPreferences: windows.WEB_PREFERENCES})
+  win.on('closed', () => {
+  win = null
+});
+
+win.loadURL('file://'+__dirname + '/index.html');
+
+//File, chart and grid window menus and the Link menu
+menu.install();
+
+//serves quotes from the feed chosen in the preferences
+settings.init();
+
+//reopens the chart and grid windows from the last session
+session.restore();
+
+//handles stxdesk://chart/IBM?interval=day links
+deeplinks.register();
+
+//opens the window asked for on the command line, e.g. --template advanced --symbol IBM --interval 5 --span 1d
+launch.apply(process.argv, process.cwd());
+
+//keeps a chart page loaded ahead of time so new charts open fast
+pool.start();
+
+});
@@ -0,0 +1,1481 @@
+/**
+ * Connects a chart template to the Electron main process through the window.desktop bridge (desktop/preload.js).
+ * Load after stx.js.
+ * @namespace
+ * @name  STX.Desktop
+ */
+STX.Desktop=function(){};
+
+(function(){
+	var desktop=window.desktop;
+	var qs=STX.qs();
+
+	/**
+	 * The BrowserWindow id of this window, as assigned by the window registry
+	 * @type {String}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.windowId=qs.windowId;
+
+	/**
+	 * Identifies this window across launches
+	 * @type {String}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.windowKey=qs.windowKey;
+
+	/**
+	 * Calls back once the window knows what to show. Normally that is straight away. Pages kept loaded ahead of
+	 * time by the main process (desktop/pool.js) wait until the window is opened, and then get their window key and
+	 * parameters in the query string as usual. Use in place of body onLoad for the function that loads the first chart.
+	 * @param  {Function} cb Called once the page has loaded and the window has been opened
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.ready=function(cb){
+		function loaded(){
+			if(!qs.pooled){
+				cb();
+				return;
+			}
+			var stop=desktop.windows.onAssign(function(params){
+				stop();
+				var query=[];
+				for(var name in params){
+					query.push(encodeURIComponent(name) + "=" + encodeURIComponent(params[name]));
+				}
+				history.replaceState(null, "", location.pathname + "?" + query.join("&"));
+				qs=STX.qs();
+				STX.Desktop.windowKey=qs.windowKey;
+				STX.Desktop.linkChannel=desktop.links.channels().current;
+				showLinkChannel();
+				cb();
+			});
+		}
+		if(document.readyState=="complete") loaded();
+		else window.addEventListener("load", loaded);
+	};
+
+	/**
+	 * Name value store kept by the main process, shared by every window and persisted in the userData directory.
+	 * Use in place of {@link STX.NameValueStore}, for instance with STX.UI.MultiWindow.
+	 * @constructor
+	 * @name  STX.Desktop.NameValueStore
+	 */
+	STX.Desktop.NameValueStore=function(){};
+
+	STX.Desktop.NameValueStore.stxInheritsFrom(STX.NameValueStore);
+
+	STX.Desktop.NameValueStore.prototype.get=function(field, cb){
+		cb(null, desktop.storage.get(field));
+	};
+
+	STX.Desktop.NameValueStore.prototype.set=function(field, value, cb){
+		desktop.storage.set(field, value);
+		if(cb) cb(null);
+	};
+
+	STX.Desktop.NameValueStore.prototype.remove=function(field, cb){
+		desktop.storage.remove(field);
+		if(cb) cb(null);
+	};
+
+	/**
+	 * Imports the layout the main process remembers for this window. Call before loading the first symbol.
+	 * @param  {STXChart} stx The chart object
+	 * @return {Object} The remembered {layout, symbol}, or null if there is none. The symbol is only
+	 * returned if it was saved by this window.
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.restoreLayout=function(stx){
+		var item=desktop.session.restore();
+		if(!item || !item.layout) return null;
+		stx.importLayout(item.layout);
+		return {
+			layout: item.layout,
+			symbol: item.id==STX.Desktop.windowKey?item.symbol:null
+		};
+	};
+
+	/**
+	 * Sends the chart's layout and symbol to the main process so that the window can be reopened as it was. The drawings
+	 * go along so that the window can be reloaded with them if its renderer crashes (desktop/recovery.js).
+	 * @param  {STXChart} stx The chart object
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.saveLayout=function(stx){
+		desktop.session.save(stx.exportLayout(), stx.chart.symbol, stx.serializeDrawings());
+	};
+
+	/**
+	 * The link channel this window is on ({name, label, color}), or null if the window is independent.
+	 * Windows on the same channel follow each other's symbol changes.
+	 * @type {Object}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.linkChannel=null;
+
+	var linkListeners=[];
+	var lastLinkedSymbol=null;
+
+	function showLinkChannel(){
+		var bar=$$$(".stx-desktop-link");
+		if(!bar){
+			bar=STX.newChild(document.body, "div", "stx-desktop-link");
+			bar.style.position="fixed";
+			bar.style.top=bar.style.left=bar.style.right="0";
+			bar.style.height="3px";
+			bar.style.zIndex="10000";
+		}
+		var channel=STX.Desktop.linkChannel;
+		bar.style.display=channel?"":"none";
+		if(channel) bar.style.backgroundColor=channel.color;
+	}
+
+	/**
+	 * Returns the available link channels
+	 * @return {Array} Array of {name, label, color}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.linkChannels=function(){
+		return desktop.links.channels().channels;
+	};
+
+	/**
+	 * Moves this window onto a link channel
+	 * @param  {String} name The channel name, or null to make the window independent
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.link=function(name){
+		desktop.links.join(name);
+	};
+
+	/**
+	 * Sends a symbol change to the other windows on this window's channel. Does nothing if the window isn't linked.
+	 * @param  {String} symbol The new symbol
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.publishSymbol=function(symbol){
+		if(!STX.Desktop.linkChannel || !symbol) return;
+		if(symbol==lastLinkedSymbol) return; // the change came from the channel
+		lastLinkedSymbol=symbol;
+		desktop.links.publish(symbol);
+	};
+
+	/**
+	 * Registers a function to call when another window on the channel changes symbol
+	 * @param  {Function} cb Called with the symbol
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.onLinkedSymbol=function(cb){
+		linkListeners.push(cb);
+	};
+
+	desktop.links.onSymbol(function(symbol){
+		lastLinkedSymbol=symbol;
+		for(var i=0;i<linkListeners.length;i++){
+			linkListeners[i](symbol);
+		}
+	});
+
+	desktop.links.onChannel(function(channel){
+		STX.Desktop.linkChannel=channel;
+		showLinkChannel();
+	});
+
+	window.addEventListener("load", function(){
+		STX.Desktop.linkChannel=desktop.links.channels().current;
+		showLinkChannel();
+	});
+
+	/**
+	 * The app's preferences, as set in the preferences window (desktop/settings.js):
+	 * {defaultTemplate, defaultSymbol, theme, timezone, language, dataDirectory, quoteFeed, poolSize, idleMinutes}.
+	 * Kept current as they change.
+	 * @type {Object}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.settings=desktop.settings.get();
+
+	var settingsListeners=[];
+
+	/**
+	 * Registers a function to call when the preferences change
+	 * @param  {Function} cb Called with the settings and an object holding just the changed settings
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.onSettings=function(cb){
+		settingsListeners.push(cb);
+	};
+
+	desktop.settings.onChange(function(settings, changed){
+		STX.Desktop.settings=settings;
+		for(var i=0;i<settingsListeners.length;i++){
+			settingsListeners[i](settings, changed);
+		}
+	});
+
+	// templates without stxTimeZoneData.js can only show local time
+	function hasTimeZone(zone){
+		var thirdParty=window.STXThirdParty;
+		return thirdParty && thirdParty.timezoneJS && thirdParty.timezoneJS.timezone.zones[zone];
+	}
+
+	/**
+	 * Applies the theme, display timezone and language preferences to a chart
+	 * @param  {STXChart} stx The chart object
+	 * @param  {Object} [changed] Only apply these settings. Defaults to those that differ from what the chart shows.
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.applySettings=function(stx, changed){
+		var settings=STX.Desktop.settings;
+		if(changed?"theme" in changed:settings.theme!=STX.ThemeManager.baseTheme){
+			if(settings.theme) STX.ThemeManager.loadBuiltInTheme(stx, settings.theme);
+		}
+		if(changed?"timezone" in changed:settings.timezone!=STXChart.defaultDisplayTimeZone){
+			if(!settings.timezone) STX.TimeZoneWidget.removeTimeZone();
+			else if(hasTimeZone(settings.timezone)) STX.TimeZoneWidget.setTimeZone(settings.timezone);
+		}
+		if(changed?"language" in changed:settings.language!=STX.I18N.language){
+			// needs translations.js
+			if(settings.language && STX.I18N.csv) STX.I18N.setLanguage(stx, settings.language);
+		}
+	};
+
+	/**
+	 * Saves the layout whenever it or the symbol changes, joins the chart to its window's link channel, and loads
+	 * stxdesk:// links and File > Copy Chart Link requests sent to the window. Describes the chart to workspace saves,
+	 * and runs the commands of the View, Periodicity, Chart Type, Studies and Drawing menus. Right clicks on the chart open
+	 * native context menus, and price alerts set from them are drawn and checked. File > Export CSV and Copy Data export the
+	 * chart's data (see {@link STX.Desktop.exportTable}). Also applies the preferences and keeps
+	 * the chart in step with them: the timezone menu writes through to the preferences, and a change of quote feed
+	 * reloads the chart.
+	 * @param  {STXChart} stx The chart object
+	 * @param {Function} [changeSymbol] Loads a symbol sent by a linked window or a link. Called with the symbol and
+	 * an optional callback(err). Defaults to calling newChart.
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.attach=function(stx, changeSymbol){
+		function save(){
+			STX.Desktop.saveLayout(stx);
+		}
+		function loadSymbol(symbol, cb){
+			if(changeSymbol) changeSymbol(symbol, cb);
+			else stx.newChart(symbol, null, null, cb);
+		}
+		stx.addEventListener("layout", save);
+		stx.addEventListener("drawing", save);
+		stx.addEventListener("symbolChange", function(){
+			save();
+			STX.Desktop.publishSymbol(stx.chart.symbol);
+		});
+		STX.Desktop.onLinkedSymbol(function(symbol){
+			if(symbol==stx.chart.symbol) return;
+			loadSymbol(symbol);
+		});
+		desktop.charts.onDeepLink(function(params){
+			STX.Desktop.openLink(stx, params, loadSymbol);
+		});
+		desktop.charts.onCopyLink(function(){
+			desktop.clipboard.writeText(STX.Desktop.chartLink(stx, true));
+		});
+		desktop.workspace.provide(function(){
+			return STX.Desktop.workspaceState(stx);
+		});
+		function reportState(){
+			desktop.charts.state(STX.Desktop.chartState(stx));
+		}
+		desktop.charts.onCommand(function(command, args){
+			if(!STX.Desktop.chartCommands[command]) return;
+			STX.Desktop.chartCommands[command](stx, args, loadSymbol);
+			reportState();
+		});
+		stx.addEventListener("layout", reportState);
+		stx.addEventListener("drawing", reportState);
+		reportState();
+		stx.addEventListener("symbolChange", reportState);
+		attachContextMenus(stx);
+		attachAlerts(stx);
+		attachPrinting(stx);
+		desktop.exporting.provide(function(options){
+			return STX.Desktop.exportTable(stx, options.range);
+		});
+
+		STX.Desktop.applySettings(stx);
+		STX.TimeZoneWidget.storageCB=function(zone){
+			if(zone!=STX.Desktop.settings.timezone) desktop.settings.set({timezone:zone});
+		};
+		STX.Desktop.onSettings(function(settings, changed){
+			STX.Desktop.applySettings(stx, changed);
+			var hub=stx.quoteDriver && stx.quoteDriver.quoteFeed instanceof STX.QuoteFeed.Desktop;
+			if(hub && stx.chart.symbol && ("quoteFeed" in changed || "dataDirectory" in changed)) loadSymbol(stx.chart.symbol);
+		});
+	};
+
+	/**
+	 * What the chart menus check (desktop/charts.js)
+	 * @param  {STXChart} stx The chart object
+	 * @return {Object} {symbol, chartType, aggregationType, semiLog, crosshair, marketSessions, periodicity, interval, vectorType}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.chartState=function(stx){
+		var layout=stx.layout;
+		return {
+			symbol:stx.chart.symbol,
+			chartType:layout.chartType,
+			aggregationType:layout.aggregationType,
+			semiLog:!!layout.semiLog,
+			crosshair:!!layout.crosshair,
+			marketSessions:layout.marketSessions || {},
+			periodicity:layout.periodicity,
+			interval:layout.interval,
+			vectorType:stx.currentVectorParameters.vectorType || ""
+		};
+	};
+
+	/**
+	 * The commands the chart menus send, by name. Each is called with the chart, the menu item's argument and
+	 * a function that loads a symbol (see {@link STX.Desktop.attach}). Add to it for menus of your own.
+	 * @type {Object}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.chartCommands={
+		periodicity: function(stx, p){
+			stx.setPeriodicityV2(p.period, p.interval);
+		},
+		chartType: function(stx, type){
+			stx.setChartType(type);
+		},
+		aggregationType: function(stx, type){
+			stx.setAggregationType(type=="ohlc"?null:type);
+		},
+		semiLog: function(stx, on){
+			stx.layout.semiLog=on;
+			stx.draw();
+			stx.changeOccurred("layout");
+		},
+		crosshair: function(stx, on){
+			stx.layout.crosshair=on;
+			stx.changeOccurred("layout");
+			stx.doDisplayCrosshairs();
+		},
+		// extended hours need the feed to send them, so the chart reloads
+		marketSession: function(stx, params, loadSymbol){
+			if(!stx.layout.marketSessions) stx.layout.marketSessions={};
+			stx.layout.marketSessions[params.session]=params.on;
+			stx.layout.extended=stx.layout.marketSessions.pre || stx.layout.marketSessions.post;
+			stx.changeOccurred("layout");
+			loadSymbol(stx.chart.symbol);
+		},
+		addStudy: function(stx, type){
+			if(!STX.Studies.studyLibrary[type]){
+				console.log("Study not in this chart's library: " + type);
+				return;
+			}
+			STX.Studies.quickAddStudy(stx, type, defaultInputs(type));
+		},
+		removeStudies: function(stx){
+			for(var name in stx.layout.studies){
+				STX.Studies.removeStudy(stx, stx.layout.studies[name]);
+			}
+			stx.draw();
+		},
+		vectorType: function(stx, type){
+			stx.changeVectorType(type);
+		},
+		undo: function(stx){
+			stx.undoLast();
+		},
+		clearDrawings: function(stx){
+			stx.clearDrawings();
+		},
+		// from a quote grid on the chart's link channel
+		compare: function(stx, symbol){
+			if(!STX.Comparison || !STX.Comparison.add){
+				console.log("Comparisons need stxAdvanced.js: " + symbol);
+				return;
+			}
+			if(symbol==stx.chart.symbol || stx.chart.series[symbol]) return;
+			STX.Comparison.add(stx, symbol);
+		}
+	};
+
+	var SPAN_UNITS={"d":"day", "w":"week", "m":"month", "y":"year"};
+
+	// finds a study library entry by key or by name, ignoring case ("rsi", "MACD", "ma")
+	function studyType(name){
+		var library=STX.Studies.studyLibrary;
+		if(library[name]) return name;
+		name=name.toLowerCase();
+		for(var type in library){
+			if(type.toLowerCase()==name || (library[type].name && library[type].name.toLowerCase()==name)) return type;
+		}
+		return null;
+	}
+
+	// the study library's inputs, taking the first choice where there is a list
+	function defaultInputs(type){
+		var inputs=STX.shallowClone(STX.Studies.studyLibrary[type].inputs || {});
+		for(var input in inputs){
+			if(inputs[input] instanceof Array) inputs[input]=inputs[input][0];
+		}
+		return inputs;
+	}
+
+	/**
+	 * Reads a list of studies such as "rsi,ma(200),macd(12,26,9)": study library keys or names separated by commas, each
+	 * with optional numbers in parentheses. A single number is the period. Several numbers fill the study's numeric inputs
+	 * in the library's order, so macd(12,26,9) sets the fast, slow and signal periods.
+	 * @param  {String} text The studies
+	 * @return {Array} [{type, inputs}] with inputs null for the library defaults. Unknown studies are left out.
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.parseStudies=function(text){
+		var studies=[];
+		var names=text.match(/[^,(]+(\([^)]*\))?/g) || [];
+		for(var i=0;i<names.length;i++){
+			var s=/^\s*([^(]+?)\s*(?:\(([\d.\s,]*)\))?\s*$/.exec(names[i]);
+			var type=s?studyType(s[1]):null;
+			if(!type){
+				if(names[i].trim()) console.log("Unknown study: " + names[i]);
+				continue;
+			}
+			var inputs=null;
+			var numbers=s[2]?s[2].split(",").map(parseFloat):[];
+			if(numbers.length==1 && "Period" in (STX.Studies.studyLibrary[type].inputs || {})){
+				inputs=defaultInputs(type);
+				inputs.Period=numbers[0];
+			}else if(numbers.length){
+				inputs=defaultInputs(type);
+				var n=0;
+				for(var input in inputs){
+					if(n<numbers.length && typeof inputs[input]=="number" && !isNaN(numbers[n])) inputs[input]=numbers[n++];
+				}
+			}
+			studies.push({type:type, inputs:inputs});
+		}
+		return studies;
+	};
+
+	/**
+	 * Reads the chart settings a window was opened with from the query string. These come from the command line
+	 * (desktop/launch.js), for instance `--interval 5 --span 1d --studies rsi,ma(200) --theme dark`.
+	 *
+	 * - interval: minutes, or "day", "week" or "month". period defaults to 1.
+	 * - span: a number and a unit of d, w, m or y ("5d", "3m"), or "today", "ytd" or "all"
+	 * - studies: comma separated study library keys or names, each with an optional period in parentheses, see {@link STX.Desktop.parseStudies}
+	 * - theme: a built in theme name, such as "light" or "dark"
+	 * - drawings: the id of drawings shared with {@link STX.Desktop.chartLink}
+	 * @param {Object} [params] The settings to read. Defaults to the query string.
+	 * @return {Object} {periodicity, span, studies, theme, drawings}. Settings that weren't passed are undefined.
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.launchOptions=function(params){
+		if(!params) params=qs;
+		var options={};
+		if(params.interval){
+			var interval=isNaN(params.interval)?params.interval:parseInt(params.interval, 10);
+			options.periodicity={period:params.period?parseInt(params.period, 10):1, interval:interval};
+		}
+		if(params.span){
+			var span=decodeURIComponent(params.span).toLowerCase();
+			var m=/^(\d+)\s*([dwmy])$/.exec(span);
+			if(m) options.span={multiplier:parseInt(m[1], 10), base:SPAN_UNITS[m[2]]};
+			else if(span=="ytd") options.span={multiplier:1, base:"YTD"};
+			else if(span=="today" || span=="all") options.span={multiplier:1, base:span};
+		}
+		if(params.studies) options.studies=STX.Desktop.parseStudies(decodeURIComponent(params.studies));
+		if(params.theme){
+			var theme=decodeURIComponent(params.theme);
+			options.theme=theme.charAt(0).toUpperCase() + theme.substring(1);
+		}
+		if(params.drawings) options.drawings=params.drawings;
+		return options;
+	};
+
+	/**
+	 * Adds the studies and drawings and loads the theme from {@link STX.Desktop.launchOptions}. Call once the first chart has loaded.
+	 * The periodicity and span are passed to the first newChart instead. From then on the settings are part of the saved
+	 * layout, so the main process drops them from the window's parameters. Also applies the state saved for the window
+	 * when it was opened from a workspace file, see {@link STX.Desktop.applyWorkspaceState}.
+	 * @param  {STXChart} stx The chart object
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.applyLaunchOptions=function(stx){
+		var options=STX.Desktop.launchOptions();
+		if(options.studies){
+			for(var i=0;i<options.studies.length;i++){
+				STX.Studies.addStudy(stx, options.studies[i].type, options.studies[i].inputs);
+			}
+		}
+		if(options.drawings) loadSharedDrawings(stx, options.drawings);
+		if(options.theme) STX.ThemeManager.loadBuiltInTheme(stx, options.theme);
+		desktop.session.launchApplied();
+		STX.Desktop.applyWorkspaceState(stx);
+	};
+
+	// numbers and dates as the user's locale writes them
+	function exportNumber(value){
+		if(value===null || typeof value=="undefined" || isNaN(value)) return "";
+		return Number(value).toLocaleString(undefined, {maximumFractionDigits:8});
+	}
+
+	/**
+	 * The chart's data for File > Export CSV and Copy Data (desktop/exporting.js): one row per bar with the date, the
+	 * prices and volume, every output of the active studies and the close of each comparison, formatted for the user's locale
+	 * @param  {STXChart} stx The chart object
+	 * @param  {String} [range] "visible" for the bars on screen, "all" for the whole dataSet. Defaults to visible.
+	 * @return {Object} {name, columns, rows}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.exportTable=function(stx, range){
+		var chart=stx.chart;
+		var fields=["Open", "High", "Low", "Close", "Volume"];
+		var columns=["Date"].concat(fields);
+		for(var name in stx.layout.studies){
+			for(var output in stx.layout.studies[name].outputMap){
+				fields.push(output);
+				columns.push(output);
+			}
+		}
+		var comparisons=[];
+		for(var symbol in chart.series){
+			var parameters=chart.series[symbol].parameters;
+			if(!parameters || !("isComparison" in parameters)) continue;
+			comparisons.push(symbol);
+			columns.push(chart.series[symbol].display || symbol);
+		}
+		var daily=STXChart.isDailyInterval(stx.layout.interval);
+		var bars=range=="all"?chart.dataSet:chart.dataSegment;
+		var rows=[];
+		for(var i=0;i<bars.length;i++){
+			var bar=bars[i];
+			if(!bar || !bar.DT) continue;
+			var date=bar.displayDate || bar.DT;
+			var row=[daily?date.toLocaleDateString():date.toLocaleString()];
+			for(var f=0;f<fields.length;f++){
+				row.push(exportNumber(bar[fields[f]]));
+			}
+			for(var c=0;c<comparisons.length;c++){
+				var value=bar[comparisons[c]];
+				// comparisons are kept as a close, or as a bar in later kernels
+				row.push(exportNumber(value && typeof value=="object"?value.Close:value));
+			}
+			rows.push(row);
+		}
+		return {
+			name:chart.symbol + " " + periodicityLabel(stx.layout),
+			columns:columns,
+			rows:rows
+		};
+	};
+
+	/**
+	 * Describes the chart for a workspace file (desktop/workspaces.js): the layout, the drawings, the comparisons and,
+	 * with the advanced package, the watch lists.
+	 * @param  {STXChart} stx The chart object
+	 * @return {Object} {layout, symbol, drawings, comparisons, watchLists}
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.workspaceState=function(stx){
+		var state={
+			layout:stx.exportLayout(),
+			symbol:stx.chart.symbol,
+			drawings:stx.serializeDrawings(),
+			comparisons:[]
+		};
+		for(var symbol in stx.chart.series){
+			var parameters=stx.chart.series[symbol].parameters;
+			// added with STX.Comparison.add, whether as a percentage or on a shared axis
+			if(!parameters || !("isComparison" in parameters)) continue;
+			state.comparisons.push({
+				symbol:parameters.symbolObject || symbol,
+				display:stx.chart.series[symbol].display,
+				color:parameters.color
+			});
+		}
+		if(STX.Watch && STX.Watch.lists) state.watchLists={lists:STX.Watch.lists, current:STX.Watch.currentList};
+		return state;
+	};
+
+	/**
+	 * Applies the state a workspace file saved for this window, once: replaces the drawings, adds the comparisons and
+	 * restores the watch lists. The layout itself comes back through {@link STX.Desktop.restoreLayout}.
+	 * Call once the first chart has loaded. Does nothing when the window wasn't opened from a workspace.
+	 * @param  {STXChart} stx The chart object
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.applyWorkspaceState=function(stx){
+		var state=desktop.workspace.restore();
+		if(!state) return;
+		if(state.drawings){
+			stx.clearDrawings();
+			stx.reconstructDrawings(state.drawings);
+		}
+		if(state.comparisons && STX.Comparison && STX.Comparison.add){
+			for(var i=0;i<state.comparisons.length;i++){
+				var comparison=state.comparisons[i];
+				STX.Comparison.add(stx, comparison.symbol, null, comparison.display, {color:comparison.color});
+			}
+		}
+		if(state.watchLists && STX.Watch && STX.Watch.stxStorageManager){
+			STX.Watch.lists=state.watchLists.lists || [];
+			STX.Watch.currentList=state.watchLists.current;
+			STX.Watch.stxStorageManager.store("stx-watchLists", JSON.stringify(STX.Watch.lists));
+			STX.Watch.refreshDisplay();
+		}
+		stx.draw();
+	};
+
+	// another window changed the watch lists, such as a quote grid adding a symbol. STX.Watch keeps its lists in memory
+	// and would write the change over with its next save.
+	window.addEventListener("storage", function(event){
+		if(event.key!="stx-watchLists" || !STX.Watch || !STX.Watch.stxStorageManager) return;
+		try{
+			STX.Watch.lists=JSON.parse(event.newValue) || [];
+		}catch(e){
+			return;
+		}
+		if(STX.Watch.currentList>=STX.Watch.lists.length) STX.Watch.currentList=STX.Watch.lists.length?0:null;
+		STX.Watch.refreshDisplay();
+	});
+
+	function loadSharedDrawings(stx, id){
+		var shared=desktop.charts.sharedDrawings(id);
+		if(!shared){
+			console.log("No shared drawings " + id);
+			return;
+		}
+		stx.reconstructDrawings(shared.drawings);
+		stx.draw();
+	}
+
+	/**
+	 * Loads a stxdesk://chart link into the chart: changes the symbol, then the periodicity with {@link STXChart#setPeriodicityV2},
+	 * then the span, and adds the studies and drawings. The main process (desktop/deeplinks.js) sends links here when this
+	 * window is on the link's channel.
+	 * @param  {STXChart} stx The chart object
+	 * @param  {Object} params The symbol and the link's query parameters, see {@link STX.Desktop.launchOptions}
+	 * @param  {Function} [loadSymbol] Changes the symbol, called with the symbol and a callback(err). Defaults to calling newChart.
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.openLink=function(stx, params, loadSymbol){
+		var options=STX.Desktop.launchOptions(params);
+		function finish(){
+			if(options.studies){
+				for(var i=0;i<options.studies.length;i++){
+					STX.Studies.addStudy(stx, options.studies[i].type, options.studies[i].inputs);
+				}
+			}
+			if(options.drawings) loadSharedDrawings(stx, options.drawings);
+		}
+		function setSpan(){
+			if(options.span) stx.setSpan(options.span, finish);
+			else finish();
+		}
+		function setPeriodicity(){
+			var p=options.periodicity;
+			if(p && (p.period!=stx.layout.periodicity || p.interval!=stx.layout.interval)) stx.setPeriodicityV2(p.period, p.interval, setSpan);
+			else setSpan();
+		}
+		if(!params.symbol || params.symbol==stx.chart.symbol){
+			setPeriodicity();
+			return;
+		}
+		if(!loadSymbol){
+			loadSymbol=function(symbol, cb){
+				stx.newChart(symbol, null, null, cb);
+			};
+		}
+		loadSymbol(params.symbol, function(err){
+			if(!err) setPeriodicity();
+		});
+	};
+
+	/**
+	 * Builds a stxdesk://chart link to the chart's symbol, periodicity and studies, for pasting into chat or tickets.
+	 * Opening the link in the desktop app charts the same thing.
+	 * @param  {STXChart} stx The chart object
+	 * @param  {Boolean} [includeDrawings] Share the chart's drawings with the link. Shared drawings are kept by this
+	 * machine's main process, so they only come through for links opened on this machine.
+	 * @return {String} The link
+	 * @memberOf STX.Desktop
+	 * @example
+	 * // stxdesk://chart/IBM?interval=day&studies=rsi(14)%2Cmacd
+	 * var link=STX.Desktop.chartLink(stxx);
+	 */
+	STX.Desktop.chartLink=function(stx, includeDrawings){
+		var params=linkParams(stx);
+		if(includeDrawings){
+			var drawings=stx.serializeDrawings();
+			if(drawings.length) params.drawings=desktop.charts.shareDrawings(stx.chart.symbol, drawings);
+		}
+		var query=[];
+		for(var name in params){
+			if(name!="symbol") query.push(name + "=" + encodeURIComponent(params[name]));
+		}
+		return "stxdesk://chart/" + encodeURIComponent(stx.chart.symbol) + "?" + query.join("&");
+	};
+
+	// the symbol, periodicity and studies, as link and window parameters (see STX.Desktop.launchOptions)
+	function linkParams(stx){
+		var layout=stx.layout;
+		var params={symbol:stx.chart.symbol, interval:layout.interval};
+		if(layout.periodicity!=1) params.period=layout.periodicity;
+		var studies=[];
+		for(var id in layout.studies){
+			var sd=layout.studies[id];
+			studies.push(sd.type + (sd.inputs && sd.inputs.Period?"(" + sd.inputs.Period + ")":""));
+		}
+		if(studies.length) params.studies=studies.join(",");
+		return params;
+	}
+
+	/**
+	 * Shows a native context menu. Items are as for Electron's Menu.buildFromTemplate, with click functions that are
+	 * called without arguments.
+	 * @param  {Array} items The menu items, which may have submenus
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.popupMenu=function(items){
+		var clicks=[];
+		function strip(items){
+			var result=[];
+			for(var i=0;i<items.length;i++){
+				var item=STX.shallowClone(items[i]);
+				if(item.submenu) item.submenu=strip(item.submenu);
+				if(item.click){
+					item.id=clicks.length;
+					clicks.push(item.click);
+					delete item.click;
+				}
+				result.push(item);
+			}
+			return result;
+		}
+		desktop.menus.popup(strip(items), function(id){
+			if(clicks[id]) clicks[id]();
+		});
+	};
+
+	var STYLE_COLORS=[
+		{label:"Auto", value:"auto"},
+		{label:"Black", value:"#000000"},
+		{label:"White", value:"#ffffff"},
+		{label:"Red", value:"#e03131"},
+		{label:"Orange", value:"#f08c00"},
+		{label:"Yellow", value:"#fcc419"},
+		{label:"Green", value:"#2f9e44"},
+		{label:"Blue", value:"#1971c2"},
+		{label:"Purple", value:"#7048e8"},
+		{label:"Gray", value:"#868e96"}
+	];
+	var STYLE_PATTERNS=[
+		{label:"Solid", value:"solid"},
+		{label:"Dashed", value:"dashed"},
+		{label:"Dotted", value:"dotted"}
+	];
+
+	// radio items for a list of {label, value}, choose is called with the value
+	function choices(list, current, choose){
+		var items=[];
+		for(var i=0;i<list.length;i++){
+			items.push({label:list[i].label, type:"radio", checked:list[i].value==current, click:(function(value){
+				return function(){ choose(value); };
+			})(list[i].value)});
+		}
+		return items;
+	}
+
+	function formatDate(stx, dt){
+		var date=STX.yyyymmdd(dt);
+		if(STXChart.isDailyInterval(stx.layout.interval)) return date;
+		var h=dt.getHours(), m=dt.getMinutes();
+		return date + " " + (h<10?"0":"") + h + ":" + (m<10?"0":"") + m;
+	}
+
+	// reopens an annotation's text for editing. Saving adds the edited copy, so the original goes then.
+	function editNote(stx, drawing){
+		var note=new STX.Drawing[drawing.name]();
+		note.construct(stx, stx.panels[drawing.panelName]);
+		note.reconstruct(stx, drawing.serialize());
+		var abort=note.abort;
+		note.abort=function(){
+			abort.apply(note, arguments);
+			if(stx.drawingObjects.indexOf(note)>-1) stx.removeDrawing(drawing);
+		};
+		stx.activeDrawing=note;
+		note.getFontString();
+		note.edit(stx.chart.context);
+		note.ta.value=note.text;
+		note.ta.onkeyup();
+	}
+
+	function addNote(stx, panel, tick, value){
+		var note=new STX.Drawing.annotation();
+		note.construct(stx, panel);
+		stx.activeDrawing=note;
+		note.click(stx.chart.context, tick, value);
+	}
+
+	// A locked (permanent) drawing or study can't be deleted. The lock is kept with the drawings and the layout, so it
+	// survives layout saves, the session and workspace files: serialized drawings carry "permanent", studies carry it
+	// in their parameters.
+	var serializeDrawings=STXChart.prototype.serializeDrawings;
+	STXChart.prototype.serializeDrawings=function(){
+		var drawings=serializeDrawings.apply(this, arguments);
+		for(var i=0;i<drawings.length;i++){
+			if(this.drawingObjects[i].permanent) drawings[i].permanent=true;
+		}
+		return drawings;
+	};
+	var reconstructDrawings=STXChart.prototype.reconstructDrawings;
+	STXChart.prototype.reconstructDrawings=function(arr){
+		// one at a time, drawings of unknown tools are skipped
+		for(var i=0;i<arr.length;i++){
+			var count=this.drawingObjects.length;
+			reconstructDrawings.call(this, [arr[i]]);
+			if(arr[i].permanent && this.drawingObjects.length>count) this.drawingObjects[count].permanent=true;
+		}
+	};
+	var importLayout=STXChart.prototype.importLayout;
+	STXChart.prototype.importLayout=function(){
+		var result=importLayout.apply(this, arguments);
+		for(var id in this.layout.studies){
+			var sd=this.layout.studies[id];
+			if(sd.parameters && sd.parameters.permanent) sd.permanent=true;
+		}
+		return result;
+	};
+
+	function lockStudy(stx, sd, locked){
+		sd.permanent=locked;
+		if(!sd.parameters) sd.parameters={};
+		if(locked) sd.parameters.permanent=true;
+		else delete sd.parameters.permanent;
+		stx.draw();
+		stx.changeOccurred("layout");
+	}
+
+	function drawingMenu(stx, drawing){
+		function changeDrawings(fn){
+			return function(){
+				var before=STX.shallowClone(stx.drawingObjects);
+				fn();
+				stx.undoStamp(before, STX.shallowClone(stx.drawingObjects));
+				stx.changeOccurred("vector");
+				stx.draw();
+			};
+		}
+		function restyle(field){
+			return function(value){
+				var obj=drawing.serialize();
+				obj[field]=value;
+				drawing.reconstruct(stx, obj);
+				stx.changeOccurred("vector");
+				stx.draw();
+			};
+		}
+		var current=drawing.serialize();
+		var items=[];
+		if(drawing.edit) items.push({label:"Edit Text…", click:function(){ editNote(stx, drawing); }});
+		items.push(
+			{label:"Delete", enabled:!drawing.permanent, click:changeDrawings(function(){
+				stx.drawingObjects.splice(stx.drawingObjects.indexOf(drawing), 1);
+			})},
+			{label:"Clone", click:changeDrawings(function(){
+				stx.createDrawing(drawing.name, drawing.serialize());
+			})},
+			{label:"Lock", type:"checkbox", checked:!!drawing.permanent, click:function(){
+				drawing.permanent=!drawing.permanent;
+				stx.changeOccurred("vector");
+			}},
+			{label:"Style", submenu:[
+				{label:"Color", submenu:choices(STYLE_COLORS, current.col, restyle("col"))},
+				{label:"Line Width", submenu:choices([1, 2, 3, 4, 5].map(function(width){
+					return {label:width + " px", value:width};
+				}), current.lw || 1, restyle("lw"))},
+				{label:"Pattern", submenu:choices(STYLE_PATTERNS, current.ptrn || "solid", restyle("ptrn"))}
+			]}
+		);
+		return items;
+	}
+
+	function studyMenu(stx, sd){
+		var colors=[];
+		for(var output in sd.outputs){
+			colors.push({label:output, submenu:choices(STYLE_COLORS, sd.outputs[output], (function(output){
+				return function(color){
+					sd.outputs[output]=color;
+					stx.draw();
+					stx.changeOccurred("layout");
+				};
+			})(output))});
+		}
+		return [
+			// the template's study dialog, through stx.callbacks.studyOverlayEdit
+			{label:"Edit…", enabled:!!sd.editFunction, click:function(){ sd.editFunction(true); }},
+			{label:"Delete", enabled:!sd.permanent, click:function(){
+				STX.Studies.removeStudy(stx, sd);
+				stx.draw();
+			}},
+			{label:"Clone", click:function(){
+				var inputs=STX.clone(sd.inputs);
+				delete inputs.id;
+				delete inputs.display;
+				STX.Studies.addStudy(stx, sd.type, inputs, STX.clone(sd.outputs), STX.clone(sd.parameters));
+			}},
+			{label:"Lock", type:"checkbox", checked:!!sd.permanent, click:function(){
+				lockStudy(stx, sd, !sd.permanent);
+			}},
+			{label:"Style", enabled:colors.length>0, submenu:colors}
+		];
+	}
+
+	function spaceMenu(stx, panel, x, y){
+		var symbol=stx.chart.symbol;
+		var value=stx.valueFromPixel(y, panel);
+		var tick=stx.tickFromPixel(x, panel.chart);
+		var dt=stx.dateFromTick(tick, panel.chart, true);
+		var price=stx.formatYAxisPrice(value, panel);
+		var date=formatDate(stx, dt);
+		var items=[];
+		if(panel==stx.chart.panel && symbol){
+			items.push({label:"Add Alert at " + price, click:function(){
+				var dataSet=stx.chart.dataSet;
+				var last=dataSet.length?dataSet[dataSet.length-1].Close:value;
+				desktop.alerts.add({symbol:symbol, price:value, above:value>last});
+			}});
+		}
+		if(STX.Drawing.annotation) items.push({label:"Add Note", click:function(){ addNote(stx, panel, tick, value); }});
+		items.push(
+			{type:"separator"},
+			{label:"Copy Price " + price, click:function(){ desktop.clipboard.writeText(price); }},
+			{label:"Copy Date " + date, click:function(){ desktop.clipboard.writeText(date); }},
+			{type:"separator"},
+			{label:"Open in New Window", enabled:!!symbol, click:function(){
+				desktop.windows.duplicate(linkParams(stx));
+			}}
+		);
+		var alerts=alertsFor(symbol);
+		if(alerts.length){
+			items.push({type:"separator"}, {label:"Clear Alerts for " + symbol, click:function(){
+				desktop.alerts.remove(alerts.map(function(alert){ return alert.id; }));
+			}});
+		}
+		return items;
+	}
+
+	// native menus in place of the in-page contextMenu dialog, for drawings and overlays under the mouse and for empty space
+	function attachContextMenus(stx){
+		stx.prepend("rightClickHighlighted", function(){
+			var i;
+			for(i=this.drawingObjects.length-1;i>=0;i--){
+				if(this.drawingObjects[i].highlighted){
+					STX.Desktop.popupMenu(drawingMenu(this, this.drawingObjects[i]));
+					return true;
+				}
+			}
+			for(var name in this.overlays){
+				if(this.overlays[name].highlight){
+					STX.Desktop.popupMenu(studyMenu(this, this.overlays[name]));
+					return true;
+				}
+			}
+			return false;
+		});
+		stx.chart.container.addEventListener("contextmenu", function(e){
+			// highlighted objects get their menu from rightClickHighlighted
+			if(stx.anyHighlighted || stx.openDialog || STXChart.drawingLine || !stx.currentPanel) return;
+			if(!stx.chart.dataSet || !stx.chart.dataSet.length) return;
+			e.preventDefault();
+			STX.Desktop.popupMenu(spaceMenu(stx, stx.currentPanel, stx.backOutX(e.clientX), stx.backOutY(e.clientY)));
+		});
+	}
+
+	var alertList=[];
+
+	function alertsFor(symbol){
+		return alertList.filter(function(alert){
+			return alert.symbol==symbol;
+		});
+	}
+
+	// draws the price alerts for the chart's symbol, and notifies when the last price reaches one
+	function attachAlerts(stx){
+		var fired={};
+		alertList=desktop.alerts.list();
+		desktop.alerts.onChange(function(alerts){
+			alertList=alerts;
+			stx.draw();
+		});
+		stx.append("draw", function(){
+			var dataSet=this.chart.dataSet;
+			if(!dataSet || !dataSet.length) return;
+			var last=dataSet[dataSet.length-1].Close;
+			var panel=this.chart.panel;
+			var context=this.chart.context;
+			var alerts=alertsFor(this.chart.symbol);
+			for(var i=0;i<alerts.length;i++){
+				var alert=alerts[i];
+				var price=this.formatYAxisPrice(alert.price, panel);
+				if(alert.above?last>=alert.price:last<=alert.price){
+					if(fired[alert.id]) continue;
+					fired[alert.id]=true;
+					if(desktop.alerts.trigger(alert.id)) new Notification(alert.symbol + " alert", {body:alert.symbol + (alert.above?" rose to ":" fell to ") + price});
+					continue;
+				}
+				var y=this.pixelFromPrice(alert.price, panel);
+				if(y<panel.top || y>panel.bottom) continue;
+				this.plotLine(panel.left, panel.right, y, y, "#f08c00", "segment", context, panel, {pattern:"dashed", lineWidth:1});
+				context.fillStyle="#f08c00";
+				context.fillText("Alert " + price, panel.left + 5, y - 3);
+			}
+		});
+	}
+
+	/**
+	 * Adds an event to the Diagnostics window (desktop/diagnostics.js), which collects the events and console output of
+	 * every window. Quote feed errors and alerts are logged already.
+	 * @param  {String} level "debug", "info", "warn" or "error"
+	 * @param  {String} [subsystem] "feed", "study", "drawing", "trade" or "app". Guessed from the message when left out.
+	 * @param  {String} message
+	 * @param  {Object} [details] Plain data that helps with a bug report, such as the symbol and periodicity
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.log=function(level, subsystem, message, details){
+		desktop.diagnostics.log({level:level, subsystem:subsystem, message:message, details:details});
+	};
+
+	var announceError=STX.QuoteFeed.prototype.announceError;
+	STX.QuoteFeed.prototype.announceError=function(params, dataCallback){
+		var request=params.startDate?"update":params.endDate?"older bars":"history";
+		STX.Desktop.log(request=="history"?"error":"warn", "feed", "Cannot fetch " + request + " for " + params.symbol + ": " + (dataCallback.error || "no data"), {
+			symbol:params.symbol,
+			period:params.period,
+			interval:params.interval,
+			startDate:params.startDate?params.startDate.getTime():null,
+			endDate:params.endDate?params.endDate.getTime():null
+		});
+		return announceError.apply(this, arguments);
+	};
+
+	var alertUser=STX.alert;
+	STX.alert=function(text){
+		STX.Desktop.log("warn", null, text);
+		return alertUser.apply(this, arguments);
+	};
+
+	// page sizes in millimetres, portrait, for the sizes desktop/printing.js offers
+	var PAGE_SIZES={A4:[210,297], A3:[297,420], Letter:[215.9,279.4], Legal:[215.9,355.6], Tabloid:[279.4,431.8]};
+	var PAGE_MARGIN=10;
+	// room kept for the header and the legend, in millimetres
+	var HEADER_HEIGHT=14;
+	var LEGEND_HEIGHT=8;
+	// CSS pixels per millimetre, and the resolution the chart is drawn at for paper (300dpi)
+	var PX_PER_MM=96/25.4;
+	var PRINT_PIXEL_RATIO=300/96;
+
+	function periodicityLabel(layout){
+		var period=layout.periodicity || 1, interval=layout.interval;
+		if(!isNaN(interval)){
+			var minutes=period*interval;
+			if(minutes%60===0) return minutes/60 + (minutes==60?" Hour":" Hours");
+			return minutes + (minutes==1?" Minute":" Minutes");
+		}
+		return period + " " + interval.charAt(0).toUpperCase() + interval.substring(1) + (period==1?"":"s");
+	}
+
+	function printStyle(options){
+		return "@page{size:" + options.pageSize + " " + (options.landscape?"landscape":"portrait") + ";margin:" + PAGE_MARGIN + "mm}" +
+			"@media screen{.stx-desktop-print{display:none}}" +
+			"@media print{body>*{display:none !important} body>.stx-desktop-print{display:block !important}}" +
+			".stx-desktop-print{font-family:sans-serif;font-size:10pt;color:#000}" +
+			".stx-desktop-print h1{font-size:14pt;margin:0 0 1mm}" +
+			".stx-desktop-print img{display:block;width:100%}" +
+			".stx-desktop-print-legend{margin-top:2mm}" +
+			".stx-desktop-print-legend span{margin-right:5mm;white-space:nowrap}" +
+			".stx-desktop-print-legend i{display:inline-block;width:3mm;height:3mm;margin-right:1mm;-webkit-print-color-adjust:exact}";
+	}
+
+	// draws the chart again into a container the size of the page at print resolution, and returns the picture
+	function renderForPrint(stx, width, height, full){
+		var chart=stx.chart, container=chart.container;
+		var saved={width:container.style.width, height:container.style.height, ticks:chart.maxTicks, scroll:chart.scroll};
+		if(!chart.dataSet || !chart.dataSet.length) full=false;
+		// adjustBackingStore sizes the canvas by devicePixelRatio, which a page may override
+		window.devicePixelRatio=PRINT_PIXEL_RATIO;
+		container.style.width=Math.round(width*PX_PER_MM) + "px";
+		container.style.height=Math.round(height*PX_PER_MM) + "px";
+		stx.resizeChart();
+		stx.setMaxTicks(full?chart.dataSet.length:saved.ticks);
+		chart.scroll=full?chart.dataSet.length:saved.scroll;
+		stx.draw();
+		var result={
+			src:chart.canvas.toDataURL("image/png"),
+			quotes:chart.dataSegment.filter(function(quote){ return quote && quote.DT; })
+		};
+		delete window.devicePixelRatio;
+		container.style.width=saved.width;
+		container.style.height=saved.height;
+		stx.resizeChart();
+		stx.setMaxTicks(saved.ticks);
+		chart.scroll=saved.scroll;
+		stx.draw();
+		return result;
+	}
+
+	/**
+	 * Lays the chart out for paper with the options from the print window (desktop/printing.js). The chart is drawn again
+	 * at print resolution to fit the page, over the visible range or its full history, and while printing that picture
+	 * takes the place of the page, under a header with the symbol, periodicity and date range and over a legend of the
+	 * studies. The chart on screen is back as it was before this returns.
+	 * @param  {STXChart} stx The chart object
+	 * @param  {Object} options {pageSize, landscape, range, header, legend}. range is "visible" or "full".
+	 * @param  {Function} cb Called with the element that prints once it is ready. Remove it once printed.
+	 * @memberOf STX.Desktop
+	 */
+	STX.Desktop.preparePrint=function(stx, options, cb){
+		var page=PAGE_SIZES[options.pageSize] || PAGE_SIZES.A4;
+		var width=(options.landscape?page[1]:page[0]) - 2*PAGE_MARGIN;
+		var height=(options.landscape?page[0]:page[1]) - 2*PAGE_MARGIN;
+		var studies=Object.keys(stx.layout.studies || {});
+		if(options.header) height-=HEADER_HEIGHT;
+		if(options.legend && studies.length) height-=LEGEND_HEIGHT;
+
+		var printout=document.createElement("div");
+		printout.className="stx-desktop-print";
+		var style=document.createElement("style");
+		style.textContent=printStyle(options);
+		printout.appendChild(style);
+
+		var picture=renderForPrint(stx, width, height, options.range=="full");
+		var quotes=picture.quotes;
+		if(options.header){
+			var header=document.createElement("h1");
+			var text=[stx.chart.symbol, periodicityLabel(stx.layout)];
+			if(quotes.length) text.push(formatDate(stx, quotes[0].DT) + " \u2013 " + formatDate(stx, quotes[quotes.length-1].DT));
+			header.textContent=text.join("  \u00b7  ");
+			printout.appendChild(header);
+		}
+		var img=document.createElement("img");
+		printout.appendChild(img);
+		if(options.legend && studies.length){
+			var legend=document.createElement("div");
+			legend.className="stx-desktop-print-legend";
+			for(var i=0;i<studies.length;i++){
+				var sd=stx.layout.studies[studies[i]];
+				var item=document.createElement("span");
+				for(var output in sd.outputs){
+					var color=sd.outputs[output];
+					if(color && typeof color=="object") color=color.color;
+					var swatch=document.createElement("i");
+					swatch.style.backgroundColor=!color || color=="auto"?stx.defaultColor:color;
+					item.appendChild(swatch);
+				}
+				item.appendChild(document.createTextNode(studies[i]));
+				legend.appendChild(item);
+			}
+			printout.appendChild(legend);
+		}
+		document.body.appendChild(printout);
+		img.onload=function(){
+			cb(printout);
+		};
+		img.src=picture.src;
+	};
+
+	// lays the chart out when File > Print or File > Export PDF asks, and tidies up once the page has printed
+	function attachPrinting(stx){
+		var printout=null;
+		function remove(){
+			if(printout && printout.parentNode) printout.parentNode.removeChild(printout);
+			printout=null;
+		}
+		desktop.printing.onPrepare(function(options){
+			remove();
+			STX.Desktop.preparePrint(stx, options, function(el){
+				printout=el;
+				desktop.printing.ready();
+			});
+		});
+		desktop.printing.onDone(remove);
+	}
+
+	// quotes cross the process boundary with DT in epoch milliseconds
+	function toDates(quotes){
+		if(!quotes) return quotes;
+		for(var i=0;i<quotes.length;i++){
+			if(typeof quotes[i].DT=="number") quotes[i].DT=new Date(quotes[i].DT);
+		}
+		return quotes;
+	}
+
+	/**
+	 * Quote feed served by the quote hub in the main process (desktop/quotes.js). The hub polls each symbol once
+	 * no matter how many windows chart it, and pushes new bars into the chart with {@link STXChart#appendMasterData}
+	 * (or {@link STXChart#streamTrade} for comparisons and study symbols). Attach it without a refreshInterval, and
+	 * {@link STX.QuoteFeed.Desktop#destroy} it with a chart that goes while its page stays.
+	 * @constructor
+	 * @name  STX.QuoteFeed.Desktop
+	 * @example
+	 * stxx.attachQuoteFeed(new STX.QuoteFeed.Desktop(),{refreshInterval:0});
+	 */
+	STX.QuoteFeed.Desktop=function(){
+		this.subscriptions=[];
+		this.stx=null;
+		this.destroyed=false;
+		var self=this;
+		this.unlisten=desktop.quotes.onUpdate(function(update){
+			self.receive(update);
+		});
+	};
+
+	STX.QuoteFeed.Desktop.stxInheritsFrom(STX.QuoteFeed.Subscriptions);
+
+	STX.QuoteFeed.Desktop.prototype.fetchFromSource=function(params, cb){
+		var self=this;
+		this.stx=params.stx;
+		desktop.quotes.fetch({
+			symbol: params.symbol,
+			period: params.period,
+			interval: params.interval,
+			ticks: params.ticks,
+			startDate: params.startDate?params.startDate.getTime():null,
+			endDate: params.endDate?params.endDate.getTime():null,
+			update: params.update
+		}, function(result){
+			// a fetch that comes back once the feed is gone would subscribe its symbols again
+			if(self.destroyed) return;
+			toDates(result.quotes);
+			cb(result);
+		});
+	};
+
+	STX.QuoteFeed.Desktop.prototype.subscribe=function(params){
+		desktop.quotes.subscribe({symbol:params.symbol, period:params.period, interval:params.interval});
+	};
+
+	STX.QuoteFeed.Desktop.prototype.unsubscribe=function(params){
+		desktop.quotes.unsubscribe({symbol:params.symbol, period:params.period, interval:params.interval});
+	};
+
+	/**
+	 * Drops the feed's subscriptions at the quote hub and stops listening for its updates. A page that closes does
+	 * this by itself; a chart removed from a page that stays open (a dashboard pane) needs it before STXChart#destroy.
+	 * @memberOf STX.QuoteFeed.Desktop
+	 */
+	STX.QuoteFeed.Desktop.prototype.destroy=function(){
+		for(var i=0;i<this.subscriptions.length;i++){
+			this.unsubscribe(this.subscriptions[i]);
+		}
+		this.subscriptions=[];
+		if(this.unlisten) this.unlisten();
+		this.unlisten=null;
+		this.stx=null;
+		this.destroyed=true;
+	};
+
+	/**
+	 * Applies bars pushed by the quote hub
+	 * @param  {Object} update {symbol, period, interval, quotes}
+	 * @memberOf STX.QuoteFeed.Desktop
+	 * @private
+	 */
+	STX.QuoteFeed.Desktop.prototype.receive=function(update){
+		var stx=this.stx;
+		if(!stx || !stx.chart.masterData) return;
+		var subscribed=false;
+		for(var i=0;i<this.subscriptions.length;i++){
+			var sub=this.subscriptions[i];
+			if(sub.symbol==update.symbol && sub.period==update.period && sub.interval==update.interval){
+				subscribed=true;
+				break;
+			}
+		}
+		if(!subscribed) return;
+		var quotes=toDates(update.quotes);
+		if(update.symbol==stx.chart.symbol){
+			stx.appendMasterData(quotes);
+		}else{
+			for(var j=0;j<quotes.length;j++){
+				stx.streamTrade({last:quotes[j].Close, volume:quotes[j].Volume}, quotes[j].DT, update.symbol);
+			}
+		}
+	};
+
+	/**
+	 * Quote feed that charts OHLCV files, read by the main process (desktop/data.js): CSV, JSON arrays of quotes or of
+	 * [date,o,h,l,c,v,adj] rows, and the STX_SAMPLE_DAILY.js format. Symbols are looked up in the data directory as SYMBOL.csv, SYMBOL.json or SYMBOL.js.
+	 * A symbol object with a `file` charts that file instead. Older bars are paged in as the user scrolls, and the chart
+	 * reloads when the file changes.
+	 * @param {Object} [params]
+	 * @param {String} [params.directory] The data directory. Defaults to the one in the preferences.
+	 * @param {Object} [params.columns] Header name or column index by field for files without standard headers
+	 * @constructor
+	 * @name  STX.QuoteFeed.File
+	 * @example
+	 * stxx.attachQuoteFeed(new STX.QuoteFeed.File({columns:{Date:"timestamp", Close:"last"}}),{refreshInterval:0});
+	 * stxx.newChart({symbol:"ibm.csv", file:"/home/me/ibm.csv"});
+	 */
+	STX.QuoteFeed.File=function(params){
+		this.options=params?params:{};
+		this.watching=null;
+		this.unwatch=null;
+	};
+
+	STX.QuoteFeed.File.stxInheritsFrom(STX.QuoteFeed);
+
+	STX.QuoteFeed.File.prototype.fetch=function(params, cb){
+		var stx=params.stx;
+		var file=params.symbolObject?params.symbolObject.file:null;
+		desktop.data.fetch({
+			options: this.options,
+			symbol: params.symbol,
+			file: file,
+			ticks: params.ticks,
+			startDate: params.startDate?params.startDate.getTime():null,
+			endDate: params.endDate?params.endDate.getTime():null
+		}, function(result){
+			toDates(result.quotes);
+			cb(result);
+		});
+		if(!params.startDate && !params.endDate && params.symbol==stx.chart.symbol){
+			this.watch(stx, file?file:params.symbol);
+		}
+	};
+
+	/**
+	 * Reloads the chart when the file behind the main symbol changes
+	 * @param  {STXChart} stx The chart object
+	 * @param  {String} target Symbol or file path
+	 * @memberOf STX.QuoteFeed.File
+	 * @private
+	 */
+	STX.QuoteFeed.File.prototype.watch=function(stx, target){
+		if(this.watching==target) return;
+		if(this.unwatch) this.unwatch();
+		this.watching=target;
+		this.unwatch=desktop.data.watch({options:this.options, target:target}, function(){
+			stx.newChart(stx.chart.symbolObject?stx.chart.symbolObject:stx.chart.symbol);
+		});
+	};
+
+	var ACCOUNT_FIELDS={balances:"fetchBalances", positions:"fetchPositions", openOrders:"fetchOpenOrders", trades:"fetchTrades"};
+
+	// the STX.Account.Demo calls that change the account. Each saves it once done.
+	var ACCOUNT_CHANGES=["placeOrder", "cancelOrder", "replaceOrder", "setProtection", "closeAllPositions", "closePosition", "closeTrade"];
+
+	// stx-tfc.js is loaded as a widget after this file, so the account class is only defined when first needed
+	function defineAccount(){
+		if(STX.Account.Desktop) return;
+
+		/**
+		 * STX.Account.Demo with its balances, positions, open orders and trades kept in the main process (desktop/account.js)
+		 * rather than in the page. Create with {@link STX.Desktop.createAccount}.
+		 * @constructor
+		 * @name  STX.Account.Desktop
+		 */
+		STX.Account.Desktop=function(){
+			STX.Account.Demo.call(this);
+			// the demo's sample balances, which it otherwise fetches from the web
+			this.balances={liquidity:100000, unsettledCash:0, cash:100000, profitLoss:0, buyingPower:200000};
+			var saved=desktop.account.get();
+			if(saved) this.load(saved);
+			else this.save();
+		};
+		STX.Account.Desktop.stxInheritsFrom(STX.Account.Demo);
+
+		STX.Account.Desktop.prototype.load=function(account){
+			for(var field in ACCOUNT_FIELDS){
+				this[field]=account[field] || {};
+			}
+		};
+
+		STX.Account.Desktop.prototype.save=function(){
+			var account={};
+			for(var field in ACCOUNT_FIELDS){
+				account[field]=this[field];
+			}
+			desktop.account.set(account);
+		};
+
+		function fetcher(field){
+			return function(cb){
+				var account=desktop.account.get();
+				if(account) this[field]=account[field] || {};
+				cb();
+			};
+		}
+		for(var field in ACCOUNT_FIELDS){
+			STX.Account.Desktop.prototype[ACCOUNT_FIELDS[field]]=fetcher(field);
+		}
+
+		// the callback is always the last argument
+		function saver(name){
+			return function(){
+				var self=this, args=Array.prototype.slice.call(arguments), cb=args[args.length-1];
+				args[args.length-1]=function(){
+					self.save();
+					if(cb) cb.apply(null, arguments);
+				};
+				STX.Account.Demo.prototype[name].apply(this, args);
+			};
+		}
+		for(var i=0;i<ACCOUNT_CHANGES.length;i++){
+			STX.Account.Desktop.prototype[ACCOUNT_CHANGES[i]]=saver(ACCOUNT_CHANGES[i]);
+		}
+	}
+
+	/**
+	 * Creates the trading account for Trade From Chart and the blotter windows. It trades like STX.Account.Demo, but every
+	 * window shares it, so that an order placed or cancelled in one window shows in all of them. Load plugins/tfc/stx-tfc.js first.
+	 * @param  {Function} [onChange] Called with the account when another window changes it, for instance to call tfc.updateData
+	 * @return {STX.Account.Desktop} The account
+	 * @memberOf STX.Desktop
+	 * @example
+	 * stxx.account=STX.Desktop.createAccount(function(){
+	 * 	if(stxx.tfc) stxx.tfc.updateData();
+	 * });
+	 */
+	STX.Desktop.createAccount=function(onChange){
+		defineAccount();
+		var account=new STX.Account.Desktop();
+		desktop.account.onChange(function(changed){
+			account.load(changed);
+			if(onChange) onChange(account);
+		});
+		return account;
+	};
+
+	// the cq-* web components UI (stxUI.js) is only loaded by chartiq.html
+	if(!STX.UI || !STX.UI.Lookup || !STX.UI.Lookup.Driver) return;
+
+	/**
+	 * Symbol lookup for the cq-lookup component that works offline. Results come from the quote source in the main process
+	 * (desktop/quotes.js), such as the files in the data directory, led by the text as typed. The filter is ignored.
+	 * @constructor
+	 * @name  STX.UI.Lookup.Driver.Desktop
+	 * @example
+	 * UIContext.lookupDriver=new STX.UI.Lookup.Driver.Desktop();
+	 */
+	STX.UI.Lookup.Driver.Desktop=function(){};
+
+	STX.UI.Lookup.Driver.Desktop.stxInheritsFrom(STX.UI.Lookup.Driver);
+
+	STX.UI.Lookup.Driver.Desktop.prototype.acceptText=function(text, filter, maxResults){
+		if(!this.uiHelper) return;
+		var self=this;
+		if(isNaN(Number(maxResults))) maxResults=100;
+		desktop.quotes.lookup({text:text, max:maxResults}, function(symbols){
+			var results=[];
+			for(var i=0;i<symbols.length;i++){
+				var item={symbol:symbols[i].symbol, name:symbols[i].name, exchDisp:symbols[i].exchange};
+				results.push({
+					display:[item.symbol, item.name, item.exchDisp],
+					data:item
+				});
+			}
+			self.uiHelper.results(results);
+		});
+	};
+})();
@@ -0,0 +1,375 @@
+// The Screener calculates studies over the daily history of every symbol in a watch list and keeps the
+// symbols that meet a condition, such as "RSI(14) < 30 AND Close > MA(200)". The studies are calculated by
+// a chart that is never shown, with the study library the chart windows use, so the values are those a
+// daily chart of the symbol shows on its last bar.
+var desktop = window.desktop;
+
+var eGridContainer = document.querySelector('#gridContainer');
+var eWatchList = document.querySelector('#watchList');
+var eCondition = document.querySelector('#condition');
+var eRun = document.querySelector('#run');
+var eStatus = document.querySelector('#status');
+
+// daily bars fetched per symbol, about two years: enough for MA(200) and for the averages RSI and ADX
+// smooth over to settle
+var HISTORY = 500;
+
+var DEFAULT_CONDITION = 'RSI(14) < 30 AND Close > MA(200)';
+
+// study names a condition may use besides the study library's keys and names
+var STUDY_ALIASES = {
+    bb: 'Bollinger Bands',
+    bollinger: 'Bollinger Bands',
+    stoch: 'stochastics'
+};
+
+var PRICE_FIELDS = ['Open', 'High', 'Low', 'Close', 'Volume'];
+
+var OPERATORS = {
+    '<': function(a, b) { return a < b; },
+    '<=': function(a, b) { return a <= b; },
+    '>': function(a, b) { return a > b; },
+    '>=': function(a, b) { return a >= b; },
+    '=': function(a, b) { return a === b; },
+    '!=': function(a, b) { return a !== b; }
+};
+
+// Conditions
+
+// A number, a price field, or a study with optional numbers and an output: "MA(200)", "MACD(12,26,9).Signal",
+// "BB(20,2).Bottom". Study numbers are read as the chart windows read the studies option, see STX.Desktop.parseStudies.
+function parseOperand(text) {
+    text = text.trim();
+    if (/^-?\d+(\.\d+)?$/.test(text)) return {value: parseFloat(text)};
+    var field = PRICE_FIELDS.filter(function(field) {
+        return field.toLowerCase() === text.toLowerCase();
+    })[0];
+    if (field) return {label: field, field: field};
+
+    var m = /^([^(.]+?)\s*(?:\(([^)]*)\))?\s*(?:\.\s*(.+))?$/.exec(text);
+    var name = m && (STUDY_ALIASES[m[1].toLowerCase()] || m[1]);
+    var numbers = m && m[2] ? '(' + m[2].replace(/\s/g, '') + ')' : '';
+    var study = name && STX.Desktop.parseStudies(name + numbers)[0];
+    if (!study) throw new Error('Not a study or a price field: ' + text);
+    return {label: text.replace(/\s*([(),.])\s*/g, '$1'), study: study.type + numbers, output: m[3] || null};
+}
+
+/**
+ * Reads a condition. Comparisons are joined by AND and OR, AND binding the tighter.
+ * @param {String} text Such as "RSI(14) < 30 AND Close > MA(200)"
+ * @return {Object} {text, any, operands, studies}: any is the groups of comparisons ({left, operator, right})
+ * of which one must hold in full, operands the study and price operands to show, studies what the chart
+ * windows' studies option takes to show the same studies
+ */
+function parseCondition(text) {
+    text = text.trim();
+    if (!text) throw new Error('Enter a condition, for example ' + DEFAULT_CONDITION);
+    var operands = [], studies = [];
+    function operand(text) {
+        var operand = parseOperand(text);
+        if ('value' in operand) return operand;
+        var same = operands.filter(function(other) {
+            return other.label === operand.label;
+        })[0];
+        if (same) return same;
+        operand.colId = 'operand' + operands.length;
+        operands.push(operand);
+        if (operand.study && studies.indexOf(operand.study) === -1) studies.push(operand.study);
+        return operand;
+    }
+    var any = text.split(/\s+OR\s+/i).map(function(group) {
+        return group.split(/\s+AND\s+/i).map(function(comparison) {
+            var m = /^(.+?)\s*(<=|>=|!=|<|>|=)\s*(.+)$/.exec(comparison.trim());
+            if (!m) throw new Error('Expected a comparison such as RSI(14) < 30: ' + comparison.trim());
+            return {left: operand(m[1]), operator: m[2], right: operand(m[3])};
+        });
+    });
+    return {text: text, any: any, operands: operands, studies: studies};
+}
+
+// Studies
+
+var stx = new STXChart({container: document.querySelector('#studyChart'), layout: {periodicity: 1, interval: 'day'}});
+
+// the studies on the chart, by the study option that added them, and the condition they were added for
+var chartStudies = {};
+var studiedCondition = null;
+
+function setStudies(studies) {
+    for (var id in stx.layout.studies) {
+        STX.Studies.removeStudy(stx, stx.layout.studies[id]);
+    }
+    chartStudies = {};
+    studies.forEach(function(text) {
+        var study = STX.Desktop.parseStudies(text)[0];
+        chartStudies[text] = STX.Studies.addStudy(stx, study.type, study.inputs);
+    });
+}
+
+// The dataSet field of a study operand. Without an output named, the output named after the study (RSI for
+// rsi, MACD for macd) or else the first.
+function studyField(operand) {
+    var sd = chartStudies[operand.study];
+    var fields = Object.keys(sd.outputMap || {});
+    var wanted = operand.output ? [operand.output] : [sd.type, sd.study && sd.study.name];
+    for (var i = 0; i < wanted.length; i++) {
+        if (!wanted[i]) continue;
+        var name = wanted[i].toLowerCase();
+        var field = fields.filter(function(field) {
+            var label = sd.outputMap[field].toLowerCase();
+            return label === name || (operand.output && label.substr(-name.length - 1) === ' ' + name);
+        })[0];
+        if (field) return field;
+    }
+    if (operand.output) {
+        throw new Error(sd.type + ' has no output ' + operand.output + '. Its outputs are ' + fields.map(function(field) {
+            return sd.outputMap[field];
+        }).join(', '));
+    }
+    return fields[0];
+}
+
+// loads the bars into the chart, which calculates the studies, and returns its last bar with a close
+function calculate(symbol, quotes, condition) {
+    stx.newChart(symbol, quotes);
+    if (studiedCondition !== condition) {
+        setStudies(condition.studies);
+        stx.createDataSet();
+        studiedCondition = condition;
+        condition.operands.forEach(function(operand) {
+            if (operand.study) operand.field = studyField(operand);
+        });
+    }
+    var dataSet = stx.chart.dataSet || [];
+    for (var i = dataSet.length - 1; i >= 0; i--) {
+        if (dataSet[i].Close !== null && dataSet[i].Close !== undefined) return dataSet[i];
+    }
+    return null;
+}
+
+function valueOf(operand, bar) {
+    var value = 'value' in operand ? operand.value : bar[operand.field];
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+// the row for the symbol if it meets the condition, otherwise null. Values a study has too little history for never match.
+function evaluate(symbol, bar, condition) {
+    var matches = condition.any.some(function(group) {
+        return group.every(function(comparison) {
+            var left = valueOf(comparison.left, bar), right = valueOf(comparison.right, bar);
+            return left !== null && right !== null && OPERATORS[comparison.operator](left, right);
+        });
+    });
+    if (!matches) return null;
+    var row = {symbol: symbol, date: bar.DT, close: bar.Close};
+    condition.operands.forEach(function(operand) {
+        row[operand.colId] = valueOf(operand, bar);
+    });
+    return row;
+}
+
+// The first comparison ranks the matches: lowest first for < and <=, highest first for > and >=.
+function rank(rows, condition) {
+    var first = condition.any[0][0];
+    if (!first.left.colId || !/^[<>]/.test(first.operator)) return rows;
+    var descending = first.operator.charAt(0) === '>';
+    return rows.sort(function(a, b) {
+        var difference = a[first.left.colId] - b[first.left.colId];
+        return descending ? -difference : difference;
+    });
+}
+
+// Grid
+
+function formatNumber(value) {
+    if (value === null || value === undefined || isNaN(value)) return '';
+    return Number(value).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
+}
+
+function numberColumn(def) {
+    def.cellClass = 'screener-number';
+    def.cellRenderer = function(params) {
+        return formatNumber(params.value);
+    };
+    return def;
+}
+
+function columnsFor(condition) {
+    var columns = [
+        {headerName: 'Symbol', field: 'symbol', width: 90, pinned: 'left'},
+        {headerName: 'Date', field: 'date', width: 100, cellRenderer: function(params) {
+            return params.value ? params.value.toLocaleDateString() : '';
+        }},
+        numberColumn({headerName: 'Close', field: 'close', width: 90})
+    ];
+    (condition ? condition.operands : []).forEach(function(operand) {
+        if (operand.field === 'Close') return;
+        columns.push(numberColumn({headerName: operand.label, field: operand.colId, width: 110}));
+    });
+    return columns;
+}
+
+var gridOptions = {
+    columnDefs: columnsFor(null),
+    rowData: [],
+    rowSelection: 'single',
+    enableSorting: true,
+    enableColResize: true,
+    overlayNoRowsTemplate: '<span>No matches.</span>',
+    onGridReady: function() {
+        persistGridViews(gridOptions, viewsKey, document.querySelector('#toolbar'));
+        restoreScreen(desktop.workspace.restore());
+    },
+    onRowClicked: function(params) {
+        desktop.links.publish(params.data.symbol);
+    },
+    onRowDoubleClicked: function(params) {
+        openChart(params.data);
+    }
+};
+
+// Screening
+
+// the condition and watch list of the rows shown
+var screened = null;
+
+// Conditions with the same operands show the same columns and share their views. screened is set before the columns
+// of a run load, which is when the views read the key again.
+function viewsKey() {
+    var operands = screened ? screened.condition.operands : [];
+    return 'screener-' + operands.map(function(operand) {
+        return operand.label;
+    }).join(',');
+}
+
+// Bumped by every run, so that the quotes of a run that was started again are dropped
+var runs = 0;
+
+function showStatus(text, error) {
+    eStatus.textContent = text;
+    eStatus.className = error ? 'screener-error' : '';
+}
+
+function screen() {
+    var run = ++runs;
+    var condition;
+    try {
+        condition = parseCondition(eCondition.value);
+    } catch (e) {
+        showStatus(e.message, true);
+        return;
+    }
+    var listName = eWatchList.value;
+    var list = watchLists().filter(function(list) {
+        return list.name === listName;
+    })[0];
+    if (!list) {
+        showStatus('No watch list to screen. Create one in the Watch List panel of an advanced chart.', true);
+        return;
+    }
+    var symbols = list.symbols.slice(), rows = [], missing = [], i = 0;
+
+    function finish() {
+        screened = {condition: condition, watchList: list.name};
+        gridOptions.api.setColumnDefs(columnsFor(condition));
+        gridOptions.api.setRowData(rank(rows, condition));
+        var text = rows.length + ' of ' + symbols.length + ' symbols match';
+        if (missing.length) text += '. No daily bars for ' + missing.join(', ');
+        showStatus(text + '.');
+    }
+
+    // one symbol at a time, which keeps the quote source from being asked for the whole list at once
+    function next() {
+        if (run !== runs) return;
+        if (i === symbols.length) return finish();
+        var symbol = symbols[i++];
+        showStatus('Screening ' + symbol + ' (' + i + ' of ' + symbols.length + ')');
+        desktop.quotes.fetch({symbol: symbol, period: 1, interval: 'day', ticks: HISTORY}, function(result) {
+            if (run !== runs) return;
+            var quotes = result.quotes || [];
+            if (result.error || !quotes.length) {
+                missing.push(symbol);
+                return next();
+            }
+            // quotes cross the process boundary with DT in epoch milliseconds
+            quotes.forEach(function(quote) {
+                if (typeof quote.DT === 'number') quote.DT = new Date(quote.DT);
+            });
+            try {
+                var bar = calculate(symbol, quotes, condition);
+                var row = bar && evaluate(symbol, bar, condition);
+                if (row) rows.push(row);
+            } catch (e) {
+                runs++;
+                showStatus(e.message, true);
+                return;
+            }
+            next();
+        });
+    }
+    next();
+}
+
+// a daily chart of the symbol with the studies the condition reads
+function openChart(data) {
+    if (!data || !data.symbol || !screened) return;
+    desktop.windows.open('advanced', {symbol: data.symbol, interval: 'day', studies: screened.condition.studies.join(',')});
+}
+
+eRun.addEventListener('click', screen);
+
+eCondition.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') screen();
+});
+
+// Enter on the focused row does what a double-click does
+eGridContainer.addEventListener('keydown', function(e) {
+    if (e.key !== 'Enter') return;
+    var cell = gridOptions.api.getFocusedCell();
+    if (!cell) return;
+    var node = gridOptions.api.getModel().getRow(cell.rowIndex);
+    if (node) openChart(node.data);
+});
+
+// Watch lists
+
+function showLists(selected) {
+    var lists = watchLists();
+    eWatchList.innerHTML = '';
+    lists.forEach(function(list) {
+        var option = document.createElement('option');
+        option.value = list.name;
+        option.textContent = list.name;
+        eWatchList.appendChild(option);
+    });
+    if (lists.some(function(list) { return list.name === selected; })) eWatchList.value = selected;
+    eWatchList.disabled = !lists.length;
+}
+
+// a chart window added, edited or removed a list
+window.addEventListener('storage', function(event) {
+    if (event.key === 'stx-watchLists') showLists(eWatchList.value);
+});
+
+// the watch list and condition as saved in a workspace file (see desktop/workspaces.js). The screen runs again on restore.
+function screenState() {
+    return {
+        watchList: eWatchList.value,
+        condition: eCondition.value
+    };
+}
+
+function restoreScreen(state) {
+    showLists(state && state.watchList);
+    eCondition.value = state && state.condition ? state.condition : DEFAULT_CONDITION;
+    if (state && state.condition) screen();
+}
+
+// after everything onGridReady uses is set up
+new agGrid.Grid(eGridContainer, gridOptions);
+
+desktop.workspace.provide(screenState);
+
+provideGridExport(gridOptions, function() {
+    return screened ? 'Screener ' + screened.watchList : 'Screener';
+});
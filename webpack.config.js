@@ -0,0 +1,19 @@
+const path = require('path');
+
+// Bundles the React pages, which their windows load as plain scripts: pages have no Node APIs (see
+// desktop/preload.js), so the imports are resolved here. npm start builds them first. Babel takes its presets
+// from .babelrc.
+module.exports = {
+  entry: {
+    dashboard: './containers/App.js'
+  },
+  output: {
+    path: path.join(__dirname, 'dist'),
+    filename: '[name].js'
+  },
+  module: {
+    rules: [
+      {test: /\.js$/, exclude: /node_modules/, loader: 'babel-loader'}
+    ]
+  }
+};